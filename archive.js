@@ -0,0 +1,251 @@
+/**
+ * archive.js
+ * Local long-term visit archive stored in IndexedDB.
+ * Chrome expires history after roughly 90 days; visits copied here stay until the user purges them.
+ * Loaded by the background service worker (importScripts) and by history.html (<script>).
+ */
+
+// --- Constants ---
+const ARCHIVE_DB_NAME = "tree-history-archive";
+const ARCHIVE_DB_VERSION = 1;
+const ARCHIVE_VISITS_STORE = "visits";
+const ARCHIVE_META_STORE = "meta";
+const ARCHIVE_INITIAL_LOOKBACK_DAYS = 90; // First snapshot copies everything Chrome still has
+const CHROME_HISTORY_EXPIRY_DAYS = 90; // Visits older than this are expired by Chrome itself
+const ARCHIVE_SNAPSHOT_OVERLAP_MS = 60 * 60 * 1000; // Re-scan the last hour to catch late referrer updates
+const ARCHIVE_SNAPSHOT_MAX_RESULTS = 100000;
+
+let archiveDbPromise = null;
+
+// --- Database Access ---
+
+/**
+ * Opens (and on first use creates) the archive database. The connection is shared per context.
+ */
+function openArchiveDb() {
+  if (archiveDbPromise) return archiveDbPromise;
+  archiveDbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(ARCHIVE_DB_NAME, ARCHIVE_DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(ARCHIVE_VISITS_STORE)) {
+        const visits = db.createObjectStore(ARCHIVE_VISITS_STORE, { keyPath: "visitId" });
+        visits.createIndex("visitTime", "visitTime");
+        visits.createIndex("url", "url");
+      }
+      if (!db.objectStoreNames.contains(ARCHIVE_META_STORE)) {
+        db.createObjectStore(ARCHIVE_META_STORE);
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      archiveDbPromise = null;
+      reject(request.error);
+    };
+  });
+  return archiveDbPromise;
+}
+
+/**
+ * Runs fn(store) inside a transaction and resolves with the value of the request fn returns (if any)
+ * once the transaction completes.
+ */
+async function withArchiveStore(storeName, mode, fn) {
+  const db = await openArchiveDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const request = fn(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(request ? request.result : undefined);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+function getArchiveMeta(key) {
+  return withArchiveStore(ARCHIVE_META_STORE, "readonly", (store) => store.get(key));
+}
+
+function setArchiveMeta(key, value) {
+  return withArchiveStore(ARCHIVE_META_STORE, "readwrite", (store) => store.put(value, key));
+}
+
+// --- Reading & Writing Visits ---
+
+/**
+ * Converts a chrome.history VisitItem plus its HistoryItem into an archive record.
+ */
+function toArchiveRecord(visit, historyItem) {
+  return {
+    visitId: visit.visitId,
+    referringVisitId: visit.referringVisitId,
+    transition: visit.transition,
+    visitTime: visit.visitTime,
+    url: historyItem.url,
+    title: historyItem.title || "",
+  };
+}
+
+/**
+ * Stores (or overwrites) archive records, keyed by visitId.
+ */
+function putArchivedVisits(records) {
+  if (!records || records.length === 0) return Promise.resolve();
+  return withArchiveStore(ARCHIVE_VISITS_STORE, "readwrite", (store) => {
+    records.forEach((record) => store.put(record));
+  });
+}
+
+/**
+ * Returns all archived records with startTime <= visitTime <= endTime, oldest first.
+ */
+function getArchivedVisits(startTime, endTime) {
+  return withArchiveStore(ARCHIVE_VISITS_STORE, "readonly", (store) =>
+    store.index("visitTime").getAll(IDBKeyRange.bound(startTime, endTime))
+  );
+}
+
+/**
+ * Returns the archived record of a single visit, or undefined if it is not archived.
+ */
+function getArchivedVisit(visitId) {
+  return withArchiveStore(ARCHIVE_VISITS_STORE, "readonly", (store) => store.get(visitId));
+}
+
+/**
+ * Returns the archived records of one URL.
+ */
+function getArchivedVisitsOfUrl(url) {
+  return withArchiveStore(ARCHIVE_VISITS_STORE, "readonly", (store) =>
+    store.index("url").getAll(IDBKeyRange.only(url))
+  );
+}
+
+/**
+ * Of the URLs Chrome reported as removed from its history, returns those that were deleted rather than expired.
+ * Chrome only expires a URL once all of its visits are older than CHROME_HISTORY_EXPIRY_DAYS, and keeping
+ * those is what the archive is for; a URL with a newer archived visit was deleted. URLs that still have
+ * visits in Chrome lost only some of them and are left alone.
+ */
+async function filterDeletedUrls(urls) {
+  const expiryTime = Date.now() - CHROME_HISTORY_EXPIRY_DAYS * 24 * 60 * 60 * 1000;
+  const deleted = [];
+  for (const url of urls) {
+    if ((await chrome.history.getVisits({ url: url })).length > 0) continue;
+    const records = await getArchivedVisitsOfUrl(url);
+    if (records.some((record) => record.visitTime >= expiryTime)) deleted.push(url);
+  }
+  return deleted;
+}
+
+/**
+ * Removes every archived visit of the given URLs.
+ */
+async function deleteArchivedUrls(urls) {
+  const db = await openArchiveDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(ARCHIVE_VISITS_STORE, "readwrite");
+    const index = tx.objectStore(ARCHIVE_VISITS_STORE).index("url");
+    urls.forEach((url) => {
+      index.openCursor(IDBKeyRange.only(url)).onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (cursor) {
+          cursor.delete();
+          cursor.continue();
+        }
+      };
+    });
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+/**
+ * Removes archived visits by visitId.
+ */
+function deleteArchivedVisits(visitIds) {
+  if (!visitIds || visitIds.length === 0) return Promise.resolve();
+  return withArchiveStore(ARCHIVE_VISITS_STORE, "readwrite", (store) => {
+    visitIds.forEach((visitId) => store.delete(visitId));
+  });
+}
+
+/**
+ * Deletes the whole archive, including the snapshot bookkeeping, so the next snapshot starts over.
+ */
+async function purgeArchive() {
+  await withArchiveStore(ARCHIVE_VISITS_STORE, "readwrite", (store) => store.clear());
+  await withArchiveStore(ARCHIVE_META_STORE, "readwrite", (store) => store.clear());
+}
+
+/**
+ * Summarizes the archive: record count, oldest/newest visit time, last snapshot time
+ * and the extension's total storage usage (navigator.storage.estimate, in bytes).
+ */
+async function getArchiveStats() {
+  const count = await withArchiveStore(ARCHIVE_VISITS_STORE, "readonly", (store) => store.count());
+  const edgeTime = async (direction) => {
+    let time = null;
+    await withArchiveStore(ARCHIVE_VISITS_STORE, "readonly", (store) => {
+      store.index("visitTime").openCursor(null, direction).onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (cursor) time = cursor.value.visitTime;
+      };
+    });
+    return time;
+  };
+  const [oldestTime, newestTime, lastSnapshotTime] = await Promise.all([
+    edgeTime("next"),
+    edgeTime("prev"),
+    getArchiveMeta("lastSnapshotTime"),
+  ]);
+  let usageBytes = null;
+  if (navigator.storage && navigator.storage.estimate) {
+    const estimate = await navigator.storage.estimate();
+    usageBytes = estimate.usage;
+  }
+  return { count, oldestTime, newestTime, lastSnapshotTime: lastSnapshotTime || null, usageBytes };
+}
+
+// --- Snapshotting From chrome.history ---
+
+/**
+ * Copies every visit Chrome has since the last snapshot into the archive.
+ * Resolves with the number of visit records written.
+ */
+async function snapshotHistoryToArchive() {
+  const now = Date.now();
+  const lastSnapshotTime = await getArchiveMeta("lastSnapshotTime");
+  const startTime = lastSnapshotTime
+    ? lastSnapshotTime - ARCHIVE_SNAPSHOT_OVERLAP_MS
+    : now - ARCHIVE_INITIAL_LOOKBACK_DAYS * 24 * 60 * 60 * 1000;
+
+  const historyItems = await chrome.history.search({
+    text: "",
+    startTime: startTime,
+    endTime: now,
+    maxResults: ARCHIVE_SNAPSHOT_MAX_RESULTS,
+  });
+
+  let written = 0;
+  for (const item of historyItems) {
+    try {
+      const visits = await chrome.history.getVisits({ url: item.url });
+      const records = visits.filter((visit) => visit.visitTime >= startTime).map((visit) => toArchiveRecord(visit, item));
+      await putArchivedVisits(records);
+      written += records.length;
+    } catch (error) {
+      console.warn(`Could not archive visits for ${item.url}:`, error);
+    }
+  }
+  await setArchiveMeta("lastSnapshotTime", now);
+  console.log(`Archive snapshot stored ${written} visits from ${historyItems.length} URLs.`);
+  return written;
+}
+
+/**
+ * Archives the visits of a single history item, e.g. right after chrome.history.onVisited fired for it.
+ */
+async function archiveHistoryItem(historyItem) {
+  const visits = await chrome.history.getVisits({ url: historyItem.url });
+  await putArchivedVisits(visits.map((visit) => toArchiveRecord(visit, historyItem)));
+}
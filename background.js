@@ -1,17 +1,234 @@
-// Listen for the extension's toolbar icon being clicked
-chrome.action.onClicked.addListener((tab) => {
+importScripts("i18n.js", "settings.js", "privacy.js", "archive.js");
+
+const ARCHIVE_ALARM_NAME = "archive-snapshot";
+const ARCHIVE_ALARM_PERIOD_MINUTES = 60;
+const PURGE_ALARM_NAME = "privacy-purge";
+const PURGE_ALARM_PERIOD_MINUTES = 30;
+const PURGE_SEARCH_MAX_RESULTS = 100000; // History items scanned per scheduled purge
+const OMNIBOX_MAX_SUGGESTIONS = 8;
+const OMNIBOX_SEARCH_DAYS = 30; // Range the viewer opens with for a free-text omnibox search
+const MAX_ROOT_CHAIN_LENGTH = 50; // Referrer hops followed when looking up a suggestion's root page
+
+let latestOmniboxInput = null; // Suggestions for older input that resolve late are dropped
+
+// --- Viewer Tab ---
+
+/**
+ * Focuses the history viewer if a tab of it is already open (and the reuseTab setting is on), otherwise opens one.
+ * With params (e.g. { q, start, end }) the page is (re)loaded with them as its query string.
+ */
+async function openHistoryPage(params) {
   // Define the URL of the history page within the extension
   const historyPageUrl = chrome.runtime.getURL("history.html");
+  const targetUrl = params ? `${historyPageUrl}?${new URLSearchParams(params)}` : null;
+  const { reuseTab } = await loadSettings();
 
-  // Optional: Check if a history tab is already open and focus it
-  chrome.tabs.query({ url: historyPageUrl }, (tabs) => {
-    if (tabs.length > 0) {
+  // Check if a history tab is already open (with or without a query string) and focus it
+  chrome.tabs.query({ url: `${historyPageUrl}*` }, (tabs) => {
+    if (reuseTab && tabs.length > 0) {
       // If found, focus the first existing history tab
-      chrome.tabs.update(tabs[0].id, { active: true });
+      chrome.tabs.update(tabs[0].id, targetUrl ? { active: true, url: targetUrl } : { active: true });
       chrome.windows.update(tabs[0].windowId, { focused: true });
     } else {
       // Otherwise, create a new tab for the history page
-      chrome.tabs.create({ url: historyPageUrl });
+      chrome.tabs.create({ url: targetUrl || historyPageUrl });
+    }
+  });
+}
+
+// Listen for the extension's toolbar icon being clicked
+chrome.action.onClicked.addListener(() => openHistoryPage());
+
+// --- Omnibox ("th" keyword) ---
+
+function escapeOmniboxText(text) {
+  return String(text ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+/**
+ * Returns the title (or URL) of the root page of the trail that led to the latest visit of a URL,
+ * following referrers through the local archive. Returns null if the visit is itself a root.
+ */
+async function findRootPageTitle(url) {
+  const visits = await chrome.history.getVisits({ url: url });
+  if (visits.length === 0) return null;
+  let visit = visits.reduce((latest, current) => (current.visitTime > latest.visitTime ? current : latest));
+  let root = null;
+  for (let i = 0; i < MAX_ROOT_CHAIN_LENGTH && visit.referringVisitId && visit.referringVisitId !== "0"; i++) {
+    const referrer = await getArchivedVisit(visit.referringVisitId);
+    if (!referrer) break;
+    root = referrer;
+    visit = referrer;
+  }
+  return root ? root.title || root.url : null;
+}
+
+chrome.omnibox.setDefaultSuggestion({ description: msg("omniboxDefaultSuggestion") });
+
+chrome.omnibox.onInputChanged.addListener(async (text, suggest) => {
+  const query = text.trim();
+  latestOmniboxInput = query;
+  if (!query) return;
+  try {
+    const [{ privacyRules }, found] = await Promise.all([
+      loadSettings(),
+      chrome.history.search({ text: query, startTime: 0, maxResults: OMNIBOX_MAX_SUGGESTIONS }),
+    ]);
+    // Pages hidden from the viewer are not suggested either
+    const items = found.filter((item) => !findPrivacyRule(item.url, privacyRules, "hide"));
+    const suggestions = await Promise.all(
+      items.map(async (item) => {
+        let via = null;
+        try {
+          via = await findRootPageTitle(item.url);
+        } catch (error) {
+          console.warn(`Could not find the root page of ${item.url}:`, error);
+        }
+        const description =
+          `<url>${escapeOmniboxText(item.url)}</url> ${escapeOmniboxText(item.title)}` +
+          (via ? ` <dim>${escapeOmniboxText(msg("omniboxVia", via))}</dim>` : "");
+        return { content: item.url, description: description };
+      })
+    );
+    if (query === latestOmniboxInput) suggest(suggestions);
+  } catch (error) {
+    console.error("Omnibox search failed:", error);
+  }
+});
+
+// A chosen suggestion opens its page; free text opens the viewer with the search filled in
+chrome.omnibox.onInputEntered.addListener((text, disposition) => {
+  if (/^[a-z][a-z0-9+.-]*:\/\//i.test(text)) {
+    if (disposition === "currentTab") {
+      chrome.tabs.update({ url: text });
+    } else {
+      chrome.tabs.create({ url: text, active: disposition === "newForegroundTab" });
+    }
+    return;
+  }
+  const formatDay = (date) =>
+    `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}-${String(date.getDate()).padStart(2, "0")}`;
+  const end = new Date();
+  const start = new Date(end.getTime() - OMNIBOX_SEARCH_DAYS * 24 * 60 * 60 * 1000);
+  openHistoryPage({ q: text.trim(), start: formatDay(start), end: formatDay(end) });
+});
+
+// --- Long-term Archive ---
+
+// Schedule the periodic snapshot and take one right away on install/update and browser start
+function scheduleArchiveSnapshots() {
+  chrome.alarms.create(ARCHIVE_ALARM_NAME, { delayInMinutes: 1, periodInMinutes: ARCHIVE_ALARM_PERIOD_MINUTES });
+}
+chrome.runtime.onInstalled.addListener(scheduleArchiveSnapshots);
+chrome.runtime.onStartup.addListener(scheduleArchiveSnapshots);
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name !== ARCHIVE_ALARM_NAME) return;
+  snapshotHistoryToArchive().catch((error) => console.error("Archive snapshot failed:", error));
+});
+
+// Archive new visits as they arrive so the archive does not depend on the alarm firing.
+// Visits matching an auto-purge rule are deleted instead.
+chrome.history.onVisited.addListener(async (historyItem) => {
+  try {
+    const { privacyRules } = await loadSettings();
+    if (findPrivacyRule(historyItem.url, privacyRules, "purge")) {
+      purgeHistoryItems([historyItem], [], privacyRules, "visit").catch((error) =>
+        console.error(`Could not purge ${historyItem.url}:`, error)
+      );
+      return;
     }
+    archiveHistoryItem(historyItem).catch((error) =>
+      console.warn(`Could not archive visit to ${historyItem.url}:`, error)
+    );
+  } catch (error) {
+    console.error(`Handling the visit to ${historyItem.url} failed:`, error);
+  }
+});
+
+// History deleted outside the viewer (Chrome's history page, clearing browsing data, other extensions) is
+// deleted from the archive too, so it does not come back in the viewer or the omnibox.
+chrome.history.onVisitRemoved.addListener(async (removed) => {
+  try {
+    if (removed.allHistory) {
+      await purgeArchive();
+      return;
+    }
+    await deleteArchivedUrls(await filterDeletedUrls(removed.urls || []));
+  } catch (error) {
+    console.error("Could not remove deleted history from the archive:", error);
+  }
+});
+
+// --- Privacy Auto-purge ---
+
+/**
+ * Deletes the history items and archived records whose URL matches an auto-purge rule, and logs every purged URL.
+ * Resolves with the log entries.
+ */
+async function purgeHistoryItems(historyItems, archivedRecords, rules, trigger) {
+  const matches = new Map(); // url -> rule
+  [...historyItems, ...archivedRecords].forEach((entry) => {
+    const rule = !matches.has(entry.url) && findPrivacyRule(entry.url, rules, "purge");
+    if (rule) matches.set(entry.url, rule);
   });
+  if (matches.size === 0) return [];
+
+  const purgedUrls = [];
+  for (const url of matches.keys()) {
+    try {
+      await chrome.history.deleteUrl({ url: url });
+      purgedUrls.push(url);
+    } catch (error) {
+      console.warn(`Could not delete ${url}:`, error);
+    }
+  }
+  await deleteArchivedUrls(purgedUrls);
+
+  const time = Date.now();
+  const entries = purgedUrls.map((url) => ({
+    time: time,
+    url: url,
+    pattern: matches.get(url).pattern,
+    trigger: trigger,
+  }));
+  if (entries.length > 0) await appendPurgeLog(entries);
+  return entries;
+}
+
+/**
+ * Scans the whole history and the local archive for URLs matching an auto-purge rule and purges them.
+ */
+async function purgeMatchingHistory(trigger) {
+  const { privacyRules } = await loadSettings();
+  if (!privacyRules.some((rule) => rule.action === "purge")) return [];
+  const [historyItems, archivedRecords] = await Promise.all([
+    chrome.history.search({ text: "", startTime: 0, maxResults: PURGE_SEARCH_MAX_RESULTS }),
+    getArchivedVisits(0, Date.now()),
+  ]);
+  const entries = await purgeHistoryItems(historyItems, archivedRecords, privacyRules, trigger);
+  if (entries.length > 0) console.log(`Purged ${entries.length} URLs (${trigger}).`);
+  return entries;
+}
+
+function schedulePrivacyPurge() {
+  chrome.alarms.create(PURGE_ALARM_NAME, { delayInMinutes: 1, periodInMinutes: PURGE_ALARM_PERIOD_MINUTES });
+}
+chrome.runtime.onInstalled.addListener(schedulePrivacyPurge);
+chrome.runtime.onStartup.addListener(schedulePrivacyPurge);
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name !== PURGE_ALARM_NAME) return;
+  purgeMatchingHistory("schedule").catch((error) => console.error("Scheduled purge failed:", error));
+});
+
+// A new or changed rule applies to the existing history right away
+onSettingsChanged((changes) => {
+  if (!("privacyRules" in changes)) return;
+  purgeMatchingHistory("rules").catch((error) => console.error("Purge after a rule change failed:", error));
 });
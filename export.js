@@ -0,0 +1,209 @@
+/**
+ * export.js
+ * Serializers that turn the rendered history tree into downloadable documents
+ * (nested JSON, Markdown link list, standalone HTML and OPML).
+ * Nodes are the same { id, data: { visitData, historyItem }, children } objects built by history.js.
+ */
+
+// --- Helpers ---
+
+/**
+ * Formats a visit time as "YYYY-MM-DD HH:mm:ss" in local time, independent of the UI locale.
+ */
+function formatExportTime(time) {
+  const d = new Date(time);
+  const pad = (n) => String(n).padStart(2, "0");
+  return (
+    `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())} ` +
+    `${pad(d.getHours())}:${pad(d.getMinutes())}:${pad(d.getSeconds())}`
+  );
+}
+
+/**
+ * Escapes text for use inside HTML/XML element content and attribute values.
+ */
+function escapeXml(text) {
+  return String(text ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+/**
+ * Escapes the characters that would break a Markdown link label or target.
+ */
+function escapeMarkdownLabel(text) {
+  return String(text ?? "").replace(/([\\[\]])/g, "\\$1");
+}
+
+function escapeMarkdownUrl(url) {
+  const replacements = { "(": "%28", ")": "%29", " ": "%20" };
+  return String(url ?? "").replace(/[() ]/g, (c) => replacements[c]);
+}
+
+/**
+ * Returns the children of a node in render order (oldest first), without mutating the node.
+ */
+function sortedChildren(node) {
+  return (node.children || []).slice().sort((a, b) => a.data.visitData.visitTime - b.data.visitData.visitTime);
+}
+
+// --- Serializers ---
+
+/**
+ * Nested JSON: every node keeps the full visit and historyItem objects returned by chrome.history,
+ * plus the visits merged into it and the redirect hops that led to it, if any.
+ */
+function serializeTreeToJson(nodes, meta) {
+  const toJson = (node) => {
+    const json = { visit: { ...node.data.visitData }, historyItem: { ...node.data.historyItem } };
+    if (node.mergedVisits) json.mergedVisits = node.mergedVisits.map((data) => ({ ...data.visitData }));
+    if (node.redirectHops) {
+      json.redirectHops = node.redirectHops.map((data) => ({ visit: { ...data.visitData }, url: data.historyItem.url }));
+    }
+    json.children = sortedChildren(node).map(toJson);
+    return json;
+  };
+  const header = {
+    title: meta.title,
+    startDate: meta.startDate,
+    endDate: meta.endDate,
+    searchText: meta.searchText,
+    exportedAt: new Date().toISOString(),
+  };
+  return JSON.stringify({ ...header, roots: nodes.map(toJson) }, null, 2);
+}
+
+/**
+ * Returns a history item as a Markdown link labelled with its title (or URL).
+ */
+function markdownLink(item) {
+  return `[${escapeMarkdownLabel(item.title || item.url)}](${escapeMarkdownUrl(item.url)})`;
+}
+
+/**
+ * Returns the lines of an indented Markdown link list of the nodes and their descendants, two spaces per level.
+ */
+function markdownOutlineLines(nodes) {
+  const lines = [];
+  const walk = (node, depth) => {
+    const time = formatExportTime(node.data.visitData.visitTime);
+    lines.push(`${"  ".repeat(depth)}- ${markdownLink(node.data.historyItem)} (${time})`);
+    sortedChildren(node).forEach((child) => walk(child, depth + 1));
+  };
+  nodes.forEach((node) => walk(node, 0));
+  return lines;
+}
+
+/**
+ * Indented Markdown list of links, two spaces per level.
+ */
+function serializeTreeToMarkdown(nodes, meta) {
+  const lines = [`# ${meta.title}`, "", ...markdownOutlineLines(nodes)];
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Standalone HTML document with nested lists and inline styles (no external resources).
+ */
+function serializeTreeToHtml(nodes, meta) {
+  const renderList = (list, depth) => {
+    const indent = "  ".repeat(depth + 1);
+    const items = list.map((node) => {
+      const item = node.data.historyItem;
+      const time = formatExportTime(node.data.visitData.visitTime);
+      const children = sortedChildren(node);
+      const childHtml = children.length > 0 ? `\n${renderList(children, depth + 1)}\n${indent}  ` : "";
+      return (
+        `${indent}  <li><span class="time">${escapeXml(time)}</span> ` +
+        `<a href="${escapeXml(item.url)}">${escapeXml(item.title || item.url)}</a>${childHtml}</li>`
+      );
+    });
+    return `${indent}<ul>\n${items.join("\n")}\n${indent}</ul>`;
+  };
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <title>${escapeXml(meta.title)}</title>
+  <style>
+    body { font-family: sans-serif; }
+    ul { list-style-type: none; padding-left: 20px; }
+    li { margin: 3px 0; line-height: 1.4; }
+    .time { font-size: 0.9em; color: #666; margin-right: 8px; }
+    a { text-decoration: none; color: #007bff; }
+  </style>
+</head>
+<body>
+  <h1>${escapeXml(meta.title)}</h1>
+${renderList(nodes, 0)}
+</body>
+</html>
+`;
+}
+
+/**
+ * OPML 2.0 outline; each node is a link outline carrying its URL and visit time.
+ */
+function serializeTreeToOpml(nodes, meta) {
+  const renderOutline = (node, depth) => {
+    const item = node.data.historyItem;
+    const indent = "  ".repeat(depth + 2);
+    const attrs =
+      `text="${escapeXml(item.title || item.url)}" type="link" url="${escapeXml(item.url)}" ` +
+      `created="${escapeXml(new Date(node.data.visitData.visitTime).toUTCString())}"`;
+    const children = sortedChildren(node);
+    if (children.length === 0) {
+      return `${indent}<outline ${attrs}/>`;
+    }
+    const inner = children.map((child) => renderOutline(child, depth + 1)).join("\n");
+    return `${indent}<outline ${attrs}>\n${inner}\n${indent}</outline>`;
+  };
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<opml version="2.0">
+  <head>
+    <title>${escapeXml(meta.title)}</title>
+    <dateCreated>${new Date().toUTCString()}</dateCreated>
+  </head>
+  <body>
+${nodes.map((node) => renderOutline(node, 0)).join("\n")}
+  </body>
+</opml>
+`;
+}
+
+// --- Download ---
+
+const EXPORT_FORMATS = {
+  json: { serialize: serializeTreeToJson, extension: "json", mimeType: "application/json" },
+  markdown: { serialize: serializeTreeToMarkdown, extension: "md", mimeType: "text/markdown" },
+  html: { serialize: serializeTreeToHtml, extension: "html", mimeType: "text/html" },
+  opml: { serialize: serializeTreeToOpml, extension: "opml", mimeType: "text/x-opml" },
+};
+
+/**
+ * Serializes the given root nodes in the requested format and downloads the result via a Blob URL.
+ * @param {Array} nodes Root nodes, already sorted in display order.
+ * @param {string} format One of the EXPORT_FORMATS keys.
+ * @param {{title: string, fileBaseName: string, startDate: string, endDate: string, searchText: string}} meta
+ *   Document title, file name without extension, and the range/filter the tree was rendered with.
+ */
+function exportTree(nodes, format, meta) {
+  const exporter = EXPORT_FORMATS[format];
+  if (!exporter) {
+    throw new Error(`Unknown export format: ${format}`);
+  }
+  const content = exporter.serialize(nodes, meta);
+  const blob = new Blob([content], { type: `${exporter.mimeType};charset=utf-8` });
+  const blobUrl = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = blobUrl;
+  link.download = `${meta.fileBaseName}.${exporter.extension}`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Revoke on the next tick so the download has started before the URL is released
+  setTimeout(() => URL.revokeObjectURL(blobUrl), 0);
+}
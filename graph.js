@@ -0,0 +1,229 @@
+/**
+ * graph.js
+ * Node-link diagram of a history tree, drawn as plain SVG (the extension's CSP allows no remote libraries).
+ * Every tree grows to the right, roots are stacked top to bottom; drag to pan, scroll to zoom.
+ * Nodes are the same { id, data: { visitData, historyItem }, children, mergedVisits? } objects built by history.js.
+ */
+
+// --- Constants ---
+const SVG_NS = "http://www.w3.org/2000/svg";
+const GRAPH_LEVEL_WIDTH = 200; // px between two depth levels
+const GRAPH_ROW_HEIGHT = 30; // px between two leaves
+const GRAPH_MARGIN = 30;
+const GRAPH_NODE_RADIUS = 10;
+const GRAPH_MAX_NODE_RADIUS = 20; // Merged nodes grow with their visit count up to this
+const GRAPH_FAVICON_SIZE = 16;
+const GRAPH_LABEL_MAX_LENGTH = 28;
+const GRAPH_MAX_NODES = 3000; // Nodes beyond this are left out, most recent roots are drawn first
+const GRAPH_ZOOM_STEP = 1.15;
+const GRAPH_MIN_ZOOM = 0.1;
+const GRAPH_MAX_ZOOM = 4;
+const GRAPH_DRAG_THRESHOLD = 4; // px a press may move and still count as a click
+
+// --- Layout ---
+
+/**
+ * Places the trees left to right: x follows the depth, every leaf gets its own row and a parent sits
+ * halfway between its first and last placed child. Children are placed oldest first, roots in the given order,
+ * and nothing more is placed once maxNodes are, not even inside a trail. Returns
+ * { positions: [{ node, parent, x, y }], total }.
+ */
+function layoutHistoryGraph(roots, maxNodes) {
+  const positions = [];
+  let row = 0;
+  const place = (node, parent, depth) => {
+    if (positions.length >= maxNodes) return null;
+    const position = { node: node, parent: parent, x: depth * GRAPH_LEVEL_WIDTH, y: 0 };
+    positions.push(position);
+    const children = node.children
+      .slice()
+      .sort((a, b) => a.data.visitData.visitTime - b.data.visitData.visitTime)
+      .map((child) => place(child, position, depth + 1))
+      .filter((child) => child !== null);
+    if (children.length === 0) {
+      position.y = row++ * GRAPH_ROW_HEIGHT;
+    } else {
+      position.y = (children[0].y + children[children.length - 1].y) / 2;
+    }
+    return position;
+  };
+
+  let total = 0;
+  const count = (node) => {
+    total++;
+    node.children.forEach(count);
+  };
+  roots.forEach(count);
+
+  for (const root of roots) {
+    if (!place(root, null, 0)) break;
+    row++; // An empty row between two trees
+  }
+  return { positions: positions, total: total };
+}
+
+/**
+ * Returns a stable color per domain, so the visits of one site share it.
+ */
+function domainColor(domain) {
+  let hash = 0;
+  for (const char of domain) {
+    hash = (hash * 31 + char.charCodeAt(0)) | 0;
+  }
+  return `hsl(${Math.abs(hash) % 360}, 60%, 55%)`;
+}
+
+// --- Drawing ---
+
+function createSvgElement(name, attributes = {}) {
+  const element = document.createElementNS(SVG_NS, name);
+  Object.entries(attributes).forEach(([key, value]) => element.setAttribute(key, value));
+  return element;
+}
+
+/**
+ * Returns the initial pan and zoom of a graph; pass it back to renderHistoryGraph to keep them across re-renders.
+ */
+function createGraphView() {
+  return { x: GRAPH_MARGIN, y: GRAPH_MARGIN, scale: 1 };
+}
+
+/**
+ * Creates the <g> of one visit: a circle in its domain's color (larger for merged visits), the favicon,
+ * a short label and a <title> tooltip. Keyboard users reach it with Tab.
+ */
+function createGraphNode(position, options) {
+  const node = position.node;
+  const item = node.data.historyItem;
+  const visitCount = node.mergedVisits ? node.mergedVisits.length : 1;
+  const radius = Math.min(GRAPH_MAX_NODE_RADIUS, GRAPH_NODE_RADIUS + (visitCount - 1) * 2);
+
+  const group = createSvgElement("g", {
+    class: "graph-node",
+    transform: `translate(${position.x},${position.y})`,
+    tabindex: "0",
+    role: "button",
+    "data-visit-id": node.data.visitData.visitId,
+  });
+  if (node.data.context) group.classList.add("context-ancestor");
+  if (node.searchMatch) group.classList.add("search-match");
+
+  const tooltip = createSvgElement("title");
+  tooltip.textContent = options.nodeTooltip(node);
+  group.appendChild(tooltip);
+  group.appendChild(createSvgElement("circle", { r: radius, fill: domainColor(hostnameOf(item.url) || "") }));
+  const half = GRAPH_FAVICON_SIZE / 2;
+  group.appendChild(
+    createSvgElement("image", {
+      href: options.faviconUrl(item.url),
+      x: -half,
+      y: -half,
+      width: GRAPH_FAVICON_SIZE,
+      height: GRAPH_FAVICON_SIZE,
+    })
+  );
+
+  let text = item.title || hostnameOf(item.url) || item.url;
+  if (text.length > GRAPH_LABEL_MAX_LENGTH) text = `${text.slice(0, GRAPH_LABEL_MAX_LENGTH - 1)}…`;
+  const label = createSvgElement("text", { x: radius + 5, y: 4 });
+  label.textContent = visitCount > 1 ? `${text} ×${visitCount}` : text;
+  group.appendChild(label);
+  return group;
+}
+
+/**
+ * Draws the trees into container as a pannable, zoomable SVG.
+ * options:
+ * - label:        accessible name of the graph
+ * - view:         pan and zoom from createGraphView, updated in place while the user pans and zooms
+ * - faviconUrl:   (pageUrl) -> icon URL
+ * - nodeTooltip:  (node) -> tooltip text
+ * - onNodeClick:  (visitId) called when a node is clicked or activated with Enter/Space
+ * Returns the layout ({ positions, total }), so callers can tell whether nodes were left out.
+ */
+function renderHistoryGraph(container, roots, options) {
+  const layout = layoutHistoryGraph(roots, GRAPH_MAX_NODES);
+  const svg = createSvgElement("svg", { class: "history-graph", role: "group", "aria-label": options.label });
+  const viewport = createSvgElement("g");
+  const edges = createSvgElement("g", { class: "graph-edges" });
+  const nodes = createSvgElement("g", { class: "graph-nodes" });
+
+  layout.positions.forEach((position) => {
+    if (position.parent) {
+      // Horizontal S-curve from the parent to the child
+      const { x, y } = position.parent;
+      const middle = (x + position.x) / 2;
+      const path = `M${x},${y} C${middle},${y} ${middle},${position.y} ${position.x},${position.y}`;
+      edges.appendChild(createSvgElement("path", { d: path }));
+    }
+    nodes.appendChild(createGraphNode(position, options));
+  });
+  viewport.append(edges, nodes);
+  svg.appendChild(viewport);
+  container.appendChild(svg);
+
+  enableGraphPanZoom(svg, viewport, options.view, options.onNodeClick);
+  return layout;
+}
+
+// --- Pan & Zoom ---
+
+/**
+ * Drag pans and the wheel zooms around the pointer, both by transforming the viewport group.
+ * A press that barely moved is a click on the node under it.
+ */
+function enableGraphPanZoom(svg, viewport, view, onNodeClick) {
+  const apply = () => viewport.setAttribute("transform", `translate(${view.x},${view.y}) scale(${view.scale})`);
+  let drag = null;
+
+  svg.addEventListener("pointerdown", (event) => {
+    if (event.button !== 0) return;
+    const nodeElement = event.target.closest(".graph-node");
+    drag = { startX: event.clientX, startY: event.clientY, viewX: view.x, viewY: view.y, nodeElement, moved: false };
+    svg.setPointerCapture(event.pointerId);
+  });
+  svg.addEventListener("pointermove", (event) => {
+    if (!drag) return;
+    const dx = event.clientX - drag.startX;
+    const dy = event.clientY - drag.startY;
+    if (Math.abs(dx) + Math.abs(dy) > GRAPH_DRAG_THRESHOLD) drag.moved = true;
+    if (!drag.moved) return;
+    view.x = drag.viewX + dx;
+    view.y = drag.viewY + dy;
+    apply();
+  });
+  svg.addEventListener("pointerup", () => {
+    if (drag && !drag.moved && drag.nodeElement) onNodeClick(drag.nodeElement.dataset.visitId);
+    drag = null;
+  });
+  svg.addEventListener("pointercancel", () => {
+    drag = null;
+  });
+
+  svg.addEventListener(
+    "wheel",
+    (event) => {
+      event.preventDefault();
+      const rect = svg.getBoundingClientRect();
+      const pointerX = event.clientX - rect.left;
+      const pointerY = event.clientY - rect.top;
+      const factor = event.deltaY < 0 ? GRAPH_ZOOM_STEP : 1 / GRAPH_ZOOM_STEP;
+      const scale = Math.min(GRAPH_MAX_ZOOM, Math.max(GRAPH_MIN_ZOOM, view.scale * factor));
+      // Keep the point under the pointer in place
+      view.x = pointerX - ((pointerX - view.x) * scale) / view.scale;
+      view.y = pointerY - ((pointerY - view.y) * scale) / view.scale;
+      view.scale = scale;
+      apply();
+    },
+    { passive: false }
+  );
+
+  svg.addEventListener("keydown", (event) => {
+    if (event.key !== "Enter" && event.key !== " ") return;
+    const nodeElement = event.target.closest(".graph-node");
+    if (!nodeElement) return;
+    event.preventDefault();
+    onNodeClick(nodeElement.dataset.visitId);
+  });
+  apply();
+}
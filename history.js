@@ -7,22 +7,135 @@
 
 // --- DOM Element References ---
 const historyTreeDiv = document.getElementById("history-tree");
+const scrollContainer = document.querySelector(".main-history");
 const startDateInput = document.getElementById("start-date");
 const endDateInput = document.getElementById("end-date");
-const maxResultsInput = document.getElementById("max-results");
 const refreshButton = document.getElementById("refresh-button");
+const optionsButton = document.getElementById("options-button");
 const loadingDiv = document.getElementById("loading");
+const loadingText = document.getElementById("loading-text");
+const loadingProgress = document.getElementById("loading-progress");
+const loadingCancelButton = document.getElementById("loading-cancel-button");
+const fetchNoticeDiv = document.getElementById("fetch-notice");
 const filterDuplicatesCheckbox = document.getElementById("filter-duplicates");
+const onlyBookmarkedCheckbox = document.getElementById("only-bookmarked");
 const searchInput = document.getElementById("search-input");
+const searchErrorSpan = document.getElementById("search-error");
 const deleteSelectedButton = document.getElementById("delete-selected-button");
+const expandAllButton = document.getElementById("expand-all-button");
+const collapseAllButton = document.getElementById("collapse-all-button");
+const expandDepthInput = document.getElementById("expand-depth");
+const expandToDepthButton = document.getElementById("expand-to-depth-button");
+const exportFormatSelect = document.getElementById("export-format");
+const viewModeSelect = document.getElementById("view-mode");
+const liveUpdatesCheckbox = document.getElementById("live-updates");
+const deleteDialog = document.getElementById("delete-dialog");
+const toastDiv = document.getElementById("toast");
+const recentlyDeletedList = document.getElementById("recently-deleted-list");
+const archiveStatusDiv = document.getElementById("archive-status");
+const archiveSnapshotButton = document.getElementById("archive-snapshot-button");
+const archivePurgeButton = document.getElementById("archive-purge-button");
+const openSelectedSelect = document.getElementById("open-selected");
+const groupSessionsCheckbox = document.getElementById("group-sessions");
+const sessionGapInput = document.getElementById("session-gap");
+const transitionFiltersDiv = document.getElementById("transition-filters");
+const statsPanelDiv = document.getElementById("stats-content");
+const contextMenuDiv = document.getElementById("context-menu");
+const detailsDialog = document.getElementById("details-dialog");
+const bookmarkDialog = document.getElementById("bookmark-dialog");
+const bookmarkFolderNameInput = document.getElementById("bookmark-folder-name");
+const bookmarkParentFolderSelect = document.getElementById("bookmark-parent-folder");
+const timestampFormatSelect = document.getElementById("timestamp-format");
+const privacyRulesList = document.getElementById("privacy-rules");
+const privacyRuleForm = document.getElementById("privacy-rule-form");
+const privacyPatternInput = document.getElementById("privacy-pattern");
+const privacyActionSelect = document.getElementById("privacy-action");
+const privacyPreviewButton = document.getElementById("privacy-preview-button");
+const privacyPreviewDiv = document.getElementById("privacy-preview");
+const purgeLogList = document.getElementById("purge-log-list");
+const purgeLogClearButton = document.getElementById("purge-log-clear-button");
 
 // --- State Variable ---
 let currentFullTree = []; // Stores the latest fetched & processed (but not search-filtered) tree root nodes
+let currentRenderedTree = []; // Root nodes currently on screen (search-filtered, sorted), used by export
+let currentViewItems = []; // View model of the current view mode: { key, node | label, count, children }
+let visibleRows = []; // Flattened rows of currentViewItems that are not inside a collapsed item
+let lastCheckedIndex = -1; // Anchor index into visibleRows for Shift-click range selection
+let focusedRowIndex = -1; // Index into visibleRows of the row holding the keyboard focus (roving tabindex)
+const selectedVisitIds = new Set(); // Checked visits; kept in state since most rows are not in the DOM
+let renderedRange = { first: 0, last: 0 }; // Row indices [first, last) currently in the DOM
+let loadedRange = null; // { startTime, endTime } of the stored tree, null while fetching
+let activeFetch = null; // { cancelled, superseded } of the fetch in progress, null when idle
+let nodesByVisitId = new Map(); // visitId -> node of currentFullTree, for resolving selected rows
+let loadedVisits = new Map(); // visitId -> { visitData, historyItem } of every loaded visit, including hidden ones
+const hiddenTransitions = new Set(DEFAULT_SETTINGS.hiddenTransitions); // Transition types left out of the tree
+let privacyRules = DEFAULT_SETTINGS.privacyRules; // [{ pattern, action }]; "hide" rules leave visits out of the tree
+let dayActivity = new Map(); // "YYYY-MM-DD" -> visits in the shown tree, for the calendar shading
+let datePicker = null; // The Litepicker instance, created on DOMContentLoaded
+let revealedVisitId = null; // Row highlighted by revealVisit until REVEAL_HIGHLIGHT_MS passed
+let contextMenuRow = null; // { visitId, rowIndex } of the row the context menu was opened on
+// Collapsed tree nodes (by visitId) and domain/path groups (by group key); kept across re-fetches and re-renders
+const collapsedKeys = new Set();
+const liveInsertedVisitIds = new Set(); // Visits added by live updates, highlighted for LIVE_HIGHLIGHT_MS
+let currentViewMode = "tree"; // "tree" (referrer tree), "domain" (domain → path → visit), "timeline" or "graph"
+let timestampFormat = DEFAULT_SETTINGS.timestampFormat; // One of TIMESTAMP_FORMATS (i18n.js)
+let ignoreUrlFragments = DEFAULT_SETTINGS.ignoreUrlFragments;
+let ignoredUrlParamPatterns = compileUrlParamPatterns(DEFAULT_SETTINGS.ignoredUrlParams); // RegExps of the param names
+let collapseRedirects = DEFAULT_SETTINGS.collapseRedirects;
+let contextDepth = DEFAULT_SETTINGS.contextDepth; // Levels of context ancestors loaded from before the range
+let missingReferrerIds = new Set(); // Referrers looked up before the range but not found; their children are orphans
+// Referrer visitId -> start of the lookback it was searched back to in vain; kept across loads, so a deleted referrer
+// does not send every reload through the whole lookback again
+const unfoundReferrers = new Map();
+const normalizedUrls = new Map(); // url -> normalizePageUrl(url), cleared when the normalization settings change
+const expandedMergeKeys = new Set(); // Merged nodes whose individual visits are listed below them
+let bookmarkedUrls = null; // Set of every bookmarked URL, null until loadBookmarkedUrls is done
+let bookmarkedUrlsLoad = null; // The loadBookmarkedUrls promise, replaced when the bookmarks change
+let lastBookmarkFolderId = null; // Folder picked last in the bookmark dialog
+let graphView = null; // Pan and zoom of the graph view (graph.js), kept across re-renders
 
 // --- Constants ---
-const BASE_MAX_RESULTS = 500;
-const RESULTS_PER_DAY = 500;
-const MAX_RESULTS_CAP = 20000;
+const HISTORY_PAGE_SIZE = 1000; // maxResults per chrome.history.search call; a full page means "split the window"
+const FETCH_WINDOW_MS = 24 * 60 * 60 * 1000; // The range is walked newest-first in windows of one day
+const MIN_FETCH_WINDOW_MS = 60 * 1000; // Windows are not split below one minute
+const MAX_LOADED_VISITS = 200000; // Safety cap; hitting it is reported in the UI
+const GET_VISITS_CONCURRENCY = 8;
+const PROGRESSIVE_RENDER_INTERVAL_MS = 500;
+const PROGRESSIVE_RENDER_COST_FACTOR = 10; // Progressive renders wait 10x their duration, so big loads keep fetching
+const SINGLE_VISIT_WINDOW_MS = 1; // Width of the deleteRange window used to remove a single visit
+const UNDO_TOAST_DURATION_MS = 10000;
+const RECENTLY_DELETED_KEY = "recentlyDeleted"; // chrome.storage.local key of the deleted batches
+const RECENTLY_DELETED_LIMIT = 5;
+const LIVE_HIGHLIGHT_MS = 5000;
+const REVEAL_HIGHLIGHT_MS = 3000;
+const DAY_ACTIVITY_LEVELS = 4; // Number of shading steps in the calendar
+const COPY_TOAST_DURATION_MS = 2000;
+const RELATIVE_TIME_REFRESH_MS = 60 * 1000; // Relative timestamps ("5 min ago") are re-rendered this often
+const LIVE_RENDER_DELAY_MS = 300; // Batches bursts of history events into one re-render
+const ROW_HEIGHT = 22; // px; must match .tree-row height in style.css
+const ROW_BUFFER = 20; // Rows rendered above and below the viewport
+const MAX_TABS_WITHOUT_CONFIRM = 15; // Opening more tabs than this at once asks first
+const TAB_GROUP_TITLE_MAX_LENGTH = 40;
+const DEFAULT_SESSION_GAP_MINUTES = 30; // Idle time after which a new browsing session starts
+const SESSION_TOP_DOMAINS = 3; // Domains listed in a session header
+const PRIVACY_PREVIEW_LIMIT = 10; // URLs listed in a rule preview
+const CONTEXT_LOOKBACK_MS = 7 * 24 * 60 * 60 * 1000; // How far before the range referrers are searched for
+const CONTEXT_FIRST_WINDOW_MS = 60 * 60 * 1000; // The search goes back in windows doubling from one hour
+const REDIRECT_MAX_DELAY_MS = 1000; // A visit followed this quickly by its only child may be a redirect hop
+// Compact badge per transition type (see TRANSITION_TYPES in query.js); descriptions are the transition_* messages
+const TRANSITION_BADGES = {
+  link: "→",
+  typed: "⌨",
+  auto_bookmark: "★",
+  auto_subframe: "▫",
+  manual_subframe: "▪",
+  generated: "⚙",
+  auto_toplevel: "⤒",
+  form_submit: "✉",
+  reload: "↻",
+  keyword: "⌕",
+  keyword_generated: "⌕",
+};
 
 // --- Utility Functions ---
 
@@ -42,38 +155,203 @@ function debounce(func, wait) {
 }
 
 /**
- * Recursively filters consecutive duplicate URL visits within a node's children.
+ * Maps every visitId in the given trees to its node, including the merged visits and redirect hops of a node.
  */
-function filterConsecutiveDuplicatesInChildren(node) {
-  if (!node || !node.children || node.children.length < 2) {
-    return;
-  }
-  const indicesToRemove = new Set();
-  for (let i = 0; i < node.children.length - 1; i++) {
-    const currentUrl = node.children[i]?.data?.historyItem?.url;
-    const nextUrl = node.children[i + 1]?.data?.historyItem?.url;
-    if (currentUrl && nextUrl && currentUrl === nextUrl) {
-      indicesToRemove.add(i); // Mark previous for removal
+function indexNodesByVisitId(nodes) {
+  const index = new Map();
+  const walk = (node) => {
+    allVisitsOfNode(node).forEach((data) => index.set(data.visitData.visitId, node));
+    node.children.forEach(walk);
+  };
+  nodes.forEach(walk);
+  return index;
+}
+
+// --- Repeated Pages & Redirects ---
+// A node may stand for several visits: mergedVisits lists every visit of the same page among siblings
+// (oldest first, node.data being the first), redirectHops the visits that redirected to it (first hop first).
+
+/**
+ * The visits of the page a node shows: its merged visits, or just its own.
+ */
+function visitsOfNode(node) {
+  return node.mergedVisits || [node.data];
+}
+
+/**
+ * The visits of a node including the redirect hops that led to it, e.g. everything deleted with it.
+ */
+function allVisitsOfNode(node) {
+  return node.redirectHops ? node.redirectHops.concat(visitsOfNode(node)) : visitsOfNode(node);
+}
+
+/**
+ * Compiles ignored query parameter names; "*" matches any characters and case is ignored.
+ */
+function compileUrlParamPatterns(patterns) {
+  return patterns
+    .filter((pattern) => pattern.trim())
+    .map((pattern) => {
+      const source = pattern
+        .trim()
+        .split("*")
+        .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+        .join(".*");
+      return new RegExp(`^${source}$`, "i");
+    });
+}
+
+/**
+ * Whether url is this viewer, with or without the query string the omnibox opens it with (background.js).
+ * Its visits are real referrers but are never shown.
+ */
+function isViewerUrl(url) {
+  return url.split(/[?#]/)[0] === chrome.runtime.getURL("history.html");
+}
+
+/**
+ * Returns the URL that decides whether two visits are of the same page: without the fragment
+ * (ignoreUrlFragments) and without the query parameters matching ignoredUrlParamPatterns.
+ */
+function normalizePageUrl(url) {
+  if (!normalizedUrls.has(url)) {
+    let normalized = url;
+    try {
+      const parsed = new URL(url);
+      if (ignoreUrlFragments) parsed.hash = "";
+      Array.from(parsed.searchParams.keys()).forEach((name) => {
+        if (ignoredUrlParamPatterns.some((regex) => regex.test(name))) parsed.searchParams.delete(name);
+      });
+      normalized = parsed.href;
+    } catch (error) {
+      // Not a parsable URL; only the exact same string is the same page
     }
+    normalizedUrls.set(url, normalized);
   }
-  if (indicesToRemove.size > 0) {
-    for (let i = node.children.length - 1; i >= 0; i--) {
-      if (indicesToRemove.has(i)) {
-        node.children.splice(i, 1);
+  return normalizedUrls.get(url);
+}
+
+/**
+ * Returns what decides whether two sibling nodes show the same page. Context ancestors (from before the range)
+ * are never merged with visits of the range.
+ */
+function pageKeyOf(node) {
+  const page = normalizePageUrl(node.data.historyItem.url);
+  return node.data.context ? `context:${page}` : page;
+}
+
+/**
+ * Adds the visits, redirect hops and children of node to target, which then stands for both.
+ */
+function mergeNodeInto(target, node) {
+  target.mergedVisits = visitsOfNode(target)
+    .concat(visitsOfNode(node))
+    .sort((a, b) => a.visitData.visitTime - b.visitData.visitTime);
+  if (node.redirectHops) target.redirectHops = (target.redirectHops || []).concat(node.redirectHops);
+  target.children.push(...node.children);
+}
+
+/**
+ * Merges the siblings showing the same page (see pageKeyOf) into the earliest of them, then does
+ * the same for the children of every remaining node, which include the children of the merged ones.
+ * Returns the remaining siblings in their original order.
+ */
+function mergeSamePageSiblings(siblings) {
+  const firstByPage = new Map();
+  siblings.forEach((node) => {
+    const page = pageKeyOf(node);
+    const first = firstByPage.get(page);
+    if (!first || node.data.visitData.visitTime < first.data.visitData.visitTime) firstByPage.set(page, node);
+  });
+  const merged = siblings.filter((node) => {
+    const first = firstByPage.get(pageKeyOf(node));
+    if (first === node) return true;
+    mergeNodeInto(first, node);
+    return false;
+  });
+  merged.forEach((node) => {
+    node.children = mergeSamePageSiblings(node.children);
+  });
+  return merged;
+}
+
+/**
+ * Returns the first and last time a node and its descendants were visited, context ancestors left out
+ * (Infinity and -Infinity if there is no such visit).
+ */
+function timeSpanOfNode(node) {
+  const span = { start: Infinity, end: -Infinity };
+  const walk = (current) => {
+    if (!current.data.context) {
+      visitsOfNode(current).forEach((data) => {
+        span.start = Math.min(span.start, data.visitData.visitTime);
+        span.end = Math.max(span.end, data.visitData.visitTime);
+      });
+    }
+    current.children.forEach(walk);
+  };
+  walk(node);
+  return span;
+}
+
+/**
+ * Merges same-page roots like mergeSamePageSiblings, but only roots within one idle-gap window (see
+ * groupItemsIntoSessions): a page opened again hours later starts its own trail and keeps its own time.
+ */
+function mergeSamePageRoots(roots, gapMs) {
+  const windows = [];
+  let current = null;
+  roots
+    .map((node) => ({ node: node, span: timeSpanOfNode(node) }))
+    .sort((a, b) => a.span.start - b.span.start)
+    .forEach((entry) => {
+      if (!current || entry.span.start - current.end > gapMs) {
+        current = { end: entry.span.end, nodes: [] };
+        windows.push(current);
       }
+      current.end = Math.max(current.end, entry.span.end);
+      current.nodes.push(entry.node);
+    });
+  return windows.flatMap((window) => mergeSamePageSiblings(window.nodes));
+}
+
+/**
+ * Whether a visit looks like a redirect hop to the given child visit. chrome.history does not report the
+ * redirect qualifiers of a transition, so this is a guess: Chrome gives every visit of a redirect chain the
+ * same transition type, and the next hop follows within REDIRECT_MAX_DELAY_MS.
+ */
+function isRedirectHop(data, childData) {
+  const delay = childData.visitData.visitTime - data.visitData.visitTime;
+  return delay >= 0 && delay <= REDIRECT_MAX_DELAY_MS && childData.visitData.transition === data.visitData.transition;
+}
+
+/**
+ * Replaces every redirect hop with only one child (recursively) by the page its chain ended on,
+ * which keeps the hops in redirectHops. Returns the new nodes.
+ */
+function collapseRedirectChains(nodes) {
+  return nodes.map((node) => {
+    let current = node;
+    const hops = [];
+    while (current.children.length === 1 && isRedirectHop(current.data, current.children[0].data)) {
+      hops.push(current.data);
+      current = current.children[0];
     }
-  }
-  node.children.forEach((child) => filterConsecutiveDuplicatesInChildren(child));
+    if (hops.length > 0) current.redirectHops = hops;
+    current.children = collapseRedirectChains(current.children);
+    return current;
+  });
 }
 
 /**
- * Recursively filters an array of nodes based on search text.
- * Keeps a node if it or any of its descendants match the search text (title or URL).
+ * Recursively filters an array of nodes with a parsed search query (see query.js).
+ * Keeps a node if it or any of its descendants match; matching nodes are flagged with
+ * searchMatch so they can be highlighted, the others are kept only as context.
  * Returns a new array with cloned matching nodes and their filtered children.
  */
-function filterAndCloneTree(nodes, searchTextLower) {
-  if (!searchTextLower) {
-    return nodes; // Return the original array if no search text
+function filterAndCloneTree(nodes, query, depth = 0) {
+  if (!query) {
+    return nodes; // Return the original array if there is no query
   }
   if (!nodes) {
     return [];
@@ -84,235 +362,2446 @@ function filterAndCloneTree(nodes, searchTextLower) {
     // Basic check for node integrity
     if (!node || !node.data || !node.data.historyItem) continue;
 
-    const title = node.data.historyItem.title || "";
-    const url = node.data.historyItem.url || "";
-    const nodeMatches = title.toLowerCase().includes(searchTextLower) || url.toLowerCase().includes(searchTextLower);
-
-    const filteredChildren = filterAndCloneTree(node.children, searchTextLower);
+    const nodeMatches = !node.data.context && nodeMatchesQuery(node, query, depth);
+    const filteredChildren = filterAndCloneTree(node.children, query, depth + 1);
 
     if (nodeMatches || filteredChildren.length > 0) {
       // Clone node to avoid modifying the original 'currentFullTree'
-      const clonedNode = { ...node, children: filteredChildren };
+      const clonedNode = { ...node, children: filteredChildren, searchMatch: nodeMatches };
       filteredNodes.push(clonedNode);
     }
   }
   return filteredNodes;
 }
 
+/**
+ * Clones the tree keeping only the nodes for which keep(node) is true, e.g. the selected visits. Children of
+ * dropped nodes move up to the nearest kept ancestor (or become roots), so the kept nodes keep their shape.
+ */
+function filterTreeByNode(nodes, keep) {
+  const result = [];
+  nodes.forEach((node) => {
+    const children = filterTreeByNode(node.children || [], keep);
+    if (keep(node)) {
+      result.push({ ...node, children: children });
+    } else {
+      result.push(...children);
+    }
+  });
+  return result;
+}
+
 // --- Rendering Logic ---
 
 /**
  * Renders the tree view based on the provided nodes.
+ * Builds the view model for the current view mode and hands it to the virtualized row renderer.
  * @param {Array} nodesToRender The array of root nodes to render.
  */
 function renderTree(nodesToRender) {
   // Clear previous rendering
   historyTreeDiv.innerHTML = "";
+  currentRenderedTree = nodesToRender || [];
+  currentViewItems = [];
+  visibleRows = [];
 
   if (nodesToRender && nodesToRender.length > 0) {
     // Sort roots by time (most recent first) before rendering
     nodesToRender.sort((a, b) => b.data.visitData.visitTime - a.data.visitData.visitTime);
-    const treeHtml = createTreeHtml(nodesToRender);
-    historyTreeDiv.appendChild(treeHtml);
-    visibleCheckboxes = Array.from(historyTreeDiv.querySelectorAll(".history-item-checkbox"));
-    console.log(`Rendered tree, found ${visibleCheckboxes.length} selectable items.`);
+    if (currentViewMode === "graph") {
+      // The graph has no rows, so row selection and the keyboard commands do not apply to it
+      renderGraphView(nodesToRender);
+      if (!activeFetch) hideLoading();
+      return;
+    }
+    if (currentViewMode === "domain") {
+      currentViewItems = buildDomainViewItems(nodesToRender);
+    } else if (currentViewMode === "timeline") {
+      currentViewItems = buildTimelineViewItems(nodesToRender);
+    } else {
+      currentViewItems = buildTreeViewItems(nodesToRender);
+    }
+    if (currentViewMode !== "domain" && groupSessionsCheckbox && groupSessionsCheckbox.checked) {
+      currentViewItems = groupItemsIntoSessions(currentViewItems, sessionGapMs());
+    }
+    pruneSelectionToView();
+
+    const spacer = document.createElement("div");
+    spacer.className = "virtual-spacer";
+    const rowsList = document.createElement("ul");
+    rowsList.className = "history-tree-list virtual-rows";
+    rowsList.setAttribute("role", "tree");
+    rowsList.setAttribute("aria-multiselectable", "true");
+    rowsList.setAttribute("aria-label", msg("treeAriaLabel"));
+    spacer.appendChild(rowsList);
+    historyTreeDiv.appendChild(spacer);
+
+    refreshVisibleRows();
+    console.log(`Rendered ${currentViewMode} view, ${visibleRows.length} visible rows.`);
   } else {
     // Display appropriate message if nothing to render
+    selectedVisitIds.clear();
+    lastCheckedIndex = -1;
     const searchTextValue = searchInput ? searchInput.value.trim() : "";
     if (searchTextValue) {
-      historyTreeDiv.textContent = `No history items found matching "${searchTextValue}".`;
+      historyTreeDiv.textContent = msg("noResultsForSearch", searchTextValue);
     } else if (currentFullTree.length > 0) {
       // This means the full tree exists but was completely filtered out by options (less likely)
-      historyTreeDiv.textContent = "All history items were filtered out by the selected options.";
+      historyTreeDiv.textContent = msg("allFilteredOut");
     } else {
-      // This means the initial fetch found nothing matching date/maxResults criteria
-      historyTreeDiv.textContent = "No history items found for the selected criteria.";
+      // This means the fetch found nothing in the selected date range
+      historyTreeDiv.textContent = msg("noHistoryFound");
     }
   }
-  // Ensure loading indicator is hidden *after* rendering attempt
-  if (loadingDiv) loadingDiv.style.display = "none";
+  // Ensure loading indicator is hidden *after* rendering attempt (unless more chunks are still coming)
+  if (!activeFetch) hideLoading();
 }
 
 /**
- * Applies search filter to the stored full tree and triggers rendering.
+ * Applies search filter (and the "only bookmarked" filter) to the stored full tree and triggers rendering.
+ * An invalid query leaves the current rendering in place and shows the error next to the search box.
  */
 function renderFilteredTree() {
-  const searchText = searchInput ? searchInput.value.trim().toLowerCase() : "";
+  const searchText = searchInput ? searchInput.value.trim() : "";
   console.log(`Rendering tree with search filter: "${searchText}"`);
-  const nodesToRender = filterAndCloneTree(currentFullTree, searchText);
+  let query;
+  try {
+    query = parseSearchQuery(searchText);
+  } catch (error) {
+    if (!(error instanceof SearchQueryError)) throw error;
+    showSearchError(error.message);
+    if (!activeFetch) hideLoading();
+    return;
+  }
+  showSearchError(null);
+  historyTreeDiv.classList.toggle("searching", Boolean(query));
+  let nodesToRender = filterAndCloneTree(currentFullTree, query);
+  if (onlyBookmarkedCheckbox && onlyBookmarkedCheckbox.checked) {
+    // Until the bookmarks are loaded nothing counts as bookmarked; loadBookmarkedUrls re-renders then
+    loadBookmarkedUrls();
+    nodesToRender = filterTreeByNode(nodesToRender, (node) => isBookmarked(node.data.historyItem.url));
+  }
   renderTree(nodesToRender);
 }
 
+/**
+ * Shows (or with null, clears) the inline search query error.
+ */
+function showSearchError(message) {
+  if (!searchErrorSpan) return;
+  searchErrorSpan.textContent = message || "";
+  searchErrorSpan.style.display = message ? "inline" : "none";
+  if (searchInput) searchInput.classList.toggle("invalid", Boolean(message));
+}
+
 // --- Core History Fetching and Tree Building ---
 
 /**
  * Fetches history based on UI controls, filters it, builds the tree structure,
  * stores the full tree, and triggers rendering.
+ * The range is walked newest-first in time windows; a window whose search fills a whole page is split
+ * in half until every window is exhausted. getVisits runs with bounded concurrency and the tree is
+ * re-rendered as chunks arrive. Starting a new fetch cancels the one in progress.
  */
 async function fetchAndBuildTree() {
-  if (loadingDiv) loadingDiv.style.display = "block"; // Show loading indicator
+  if (activeFetch) {
+    activeFetch.cancelled = true;
+    activeFetch.superseded = true;
+  }
+  const fetchState = { cancelled: false, superseded: false };
+  activeFetch = fetchState;
+
+  showLoading(msg("loadingHistory"), 0);
+  showFetchNotice(null);
   historyTreeDiv.innerHTML = ""; // Clear tree immediately
   currentFullTree = []; // Reset the stored tree
+  nodesByVisitId = new Map();
+  missingReferrerIds = new Set();
+  loadedRange = null; // Live updates are ignored until the new tree is stored
+  selectedVisitIds.clear();
+  lastCheckedIndex = -1;
 
-  const historyPageUrl = chrome.runtime.getURL("history.html");
   const startTime = new Date(startDateInput.value).getTime();
   const endTime = new Date(endDateInput.value).getTime() + (24 * 60 * 60 * 1000 - 1);
-  const maxResults = parseInt(maxResultsInput.value, 10) || 1000;
-  const shouldFilterDuplicates = filterDuplicatesCheckbox && filterDuplicatesCheckbox.checked;
 
   if (isNaN(startTime) || isNaN(endTime)) {
-    historyTreeDiv.textContent = "Invalid date range.";
-    if (loadingDiv) loadingDiv.style.display = "none";
+    historyTreeDiv.textContent = msg("invalidDateRange");
+    activeFetch = null;
+    hideLoading();
     return;
   }
 
-  try {
-    console.log(
-      `Workspaceing history from ${new Date(startTime)} to ${new Date(
-        endTime
-      )}, maxResults base: ${maxResults}, filterDuplicates: ${shouldFilterDuplicates}`
-    );
-    const historyItemsRaw = await chrome.history.search({
-      text: "", // Search text is NOT applied here, only client-side
-      startTime: startTime,
-      endTime: endTime,
-      maxResults: maxResults + 50,
-    });
+  const allVisitsMap = new Map();
+  loadedVisits = allVisitsMap; // Transition filter changes rebuild the tree from these
+  const earlierVisits = new Map(); // Visits shortly before the range, where context ancestors are looked up first
+  const seenUrls = new Set();
+  const notices = [];
+  let nextRenderTime = 0;
+
+  // Rebuilds and re-renders the tree from everything collected so far, merged as the checkbox says now
+  const publishTree = () => {
+    const renderStart = Date.now();
+    currentFullTree = buildTreeFromVisits(allVisitsMap, filterDuplicatesCheckbox && filterDuplicatesCheckbox.checked);
+    nodesByVisitId = indexNodesByVisitId(currentFullTree);
+    rerenderPreservingState();
+    const renderDuration = Date.now() - renderStart;
+    const renderDelay = Math.max(PROGRESSIVE_RENDER_INTERVAL_MS, renderDuration * PROGRESSIVE_RENDER_COST_FACTOR);
+    nextRenderTime = Date.now() + renderDelay;
+  };
 
-    const historyItems = historyItemsRaw.filter((item) => item.url !== historyPageUrl);
-    console.log(`Found ${historyItemsRaw.length} raw items, ${historyItems.length} after filtering self.`);
+  try {
+    const filterDuplicates = filterDuplicatesCheckbox && filterDuplicatesCheckbox.checked;
+    console.log(`Fetching history from ${new Date(startTime)} to ${new Date(endTime)}, filterDuplicates: ${filterDuplicates}`);
 
-    // Don't proceed if no items after initial filter
-    if (historyItems.length === 0) {
-      currentFullTree = [];
-      renderFilteredTree(); // Render "no results" message
-      return;
+    // Windows still to search, newest first (the stack top is the newest window)
+    const windows = [];
+    for (let windowStart = startTime; windowStart <= endTime; windowStart += FETCH_WINDOW_MS) {
+      windows.push({ start: windowStart, end: Math.min(windowStart + FETCH_WINDOW_MS - 1, endTime) });
     }
-
-    const allVisitsMap = new Map();
-    const urlVisitPromises = historyItems.map(async (item) => {
-      try {
-        const visits = await chrome.history.getVisits({ url: item.url });
-        visits.forEach((visit) => {
-          if (visit.visitTime >= startTime && visit.visitTime <= endTime) {
-            if (visit.transition === "reload") return;
-            if (!allVisitsMap.has(visit.visitId)) {
-              allVisitsMap.set(visit.visitId, { visitData: visit, historyItem: item });
-            }
-          }
-        });
-      } catch (error) {
-        console.warn(`Could not get visits for ${item.url}:`, error);
+    let coveredTime = 0;
+    const totalTime = endTime - startTime + 1;
+
+    while (windows.length > 0 && !fetchState.cancelled) {
+      const timeWindow = windows.pop();
+      const page = await chrome.history.search({
+        text: "", // Search text is NOT applied here, only client-side
+        startTime: timeWindow.start,
+        endTime: timeWindow.end,
+        maxResults: HISTORY_PAGE_SIZE,
+      });
+      if (fetchState.cancelled) break;
+
+      if (page.length >= HISTORY_PAGE_SIZE && timeWindow.end - timeWindow.start > MIN_FETCH_WINDOW_MS) {
+        // The page is full, so this window may hold more: search both halves instead (newer half first)
+        const middle = Math.floor((timeWindow.start + timeWindow.end) / 2);
+        windows.push({ start: timeWindow.start, end: middle });
+        windows.push({ start: middle + 1, end: timeWindow.end });
+        continue;
       }
-    });
-    await Promise.all(urlVisitPromises);
-    console.log(`Collected details for ${allVisitsMap.size} non-reload, non-self visits.`);
-
-    // Build the initial tree structure
-    const nodes = {};
-    const rootNodes = [];
-    allVisitsMap.forEach((value, visitId) => {
-      nodes[visitId] = { id: visitId, data: value, children: [] };
-    });
-    allVisitsMap.forEach((value, visitId) => {
-      const referringVisitId = value.visitData.referringVisitId;
-      const currentNode = nodes[visitId];
-      if (referringVisitId && referringVisitId !== "0" && nodes[referringVisitId]) {
-        const parentNode = nodes[referringVisitId];
-        if (!parentNode.children.some((child) => child.id === currentNode.id)) {
-          parentNode.children.push(currentNode);
-        }
-      } else {
-        if (!rootNodes.some((root) => root.id === currentNode.id)) {
-          rootNodes.push(currentNode);
-        }
+      if (page.length >= HISTORY_PAGE_SIZE) {
+        notices.push(msg("noticePageFull", [HISTORY_PAGE_SIZE, new Date(timeWindow.start).toLocaleString()]));
       }
-    });
-    const nonRootIds = new Set();
-    Object.values(nodes).forEach((node) => {
-      node.children.forEach((child) => nonRootIds.add(child.id));
-    });
-    let finalRootNodes = rootNodes.filter((node) => !nonRootIds.has(node.id));
-
-    // Apply Consecutive Duplicate Filtering (Optional)
-    if (shouldFilterDuplicates && finalRootNodes.length > 0) {
-      console.log("Filtering consecutive duplicates...");
-      finalRootNodes.forEach((rootNode) => filterConsecutiveDuplicatesInChildren(rootNode));
-      const rootsToRemoveIndices = new Set();
-      for (let i = 0; i < finalRootNodes.length - 1; i++) {
-        const currentUrl = finalRootNodes[i]?.data?.historyItem?.url;
-        const nextUrl = finalRootNodes[i + 1]?.data?.historyItem?.url;
-        if (currentUrl && nextUrl && currentUrl === nextUrl) {
-          rootsToRemoveIndices.add(i);
+
+      const newItems = page.filter((item) => !seenUrls.has(item.url) && !isViewerUrl(item.url));
+      newItems.forEach((item) => seenUrls.add(item.url));
+      await runWithConcurrency(newItems, GET_VISITS_CONCURRENCY, fetchState, async (item) => {
+        try {
+          const visits = await chrome.history.getVisits({ url: item.url });
+          visits.forEach((visit) => {
+            if (visit.visitTime >= startTime && visit.visitTime <= endTime) {
+              if (!allVisitsMap.has(visit.visitId)) {
+                allVisitsMap.set(visit.visitId, { visitData: visit, historyItem: item });
+              }
+            } else if (visit.visitTime < startTime && visit.visitTime >= startTime - CONTEXT_LOOKBACK_MS) {
+              earlierVisits.set(visit.visitId, { visitData: visit, historyItem: item, context: true });
+            }
+          });
+        } catch (error) {
+          console.warn(`Could not get visits for ${item.url}:`, error);
         }
+      });
+      if (fetchState.cancelled) break;
+
+      coveredTime += timeWindow.end - timeWindow.start + 1;
+      showLoading(msg("loadingProgress", allVisitsMap.size), coveredTime / totalTime);
+
+      if (allVisitsMap.size >= MAX_LOADED_VISITS) {
+        notices.push(
+          msg("noticeVisitLimit", [allVisitsMap.size, MAX_LOADED_VISITS, new Date(timeWindow.start).toLocaleString()])
+        );
+        break;
       }
-      if (rootsToRemoveIndices.size > 0) {
-        const filteredRoots = [];
-        for (let i = 0; i < finalRootNodes.length; i++) {
-          if (!rootsToRemoveIndices.has(i)) {
-            filteredRoots.push(finalRootNodes[i]);
-          }
-        }
-        finalRootNodes = filteredRoots;
+      if (allVisitsMap.size > 0 && Date.now() >= nextRenderTime) {
+        publishTree();
       }
-      console.log(`Finished filtering duplicates, ${finalRootNodes.length} root nodes remaining.`);
     }
 
-    // Store the fully processed tree
-    currentFullTree = finalRootNodes;
+    if (fetchState.superseded) return; // A newer fetch owns the page now
+    if (fetchState.cancelled) {
+      notices.push(msg("noticeCancelled", allVisitsMap.size));
+    }
+    console.log(`Collected details for ${allVisitsMap.size} non-self visits from ${seenUrls.size} URLs.`);
+
+    // Fill in visits Chrome has already expired from the local archive
+    const archivedCount = await mergeArchivedVisits(allVisitsMap, startTime, endTime);
+    if (fetchState.superseded) return;
+    if (archivedCount > 0) {
+      console.log(`Added ${archivedCount} visits from the local archive.`);
+    }
+
+    // Load the referrers from before the range, so trails crossing the start date stay in one piece
+    if (contextDepth > 0 && !fetchState.cancelled) {
+      showLoading(msg("loadingContext"));
+      const contextCount = await addContextAncestors(allVisitsMap, earlierVisits, seenUrls, startTime, fetchState);
+      if (fetchState.superseded) return;
+      console.log(`Added ${contextCount} context visits from before the range.`);
+    }
+
+    // Store the fully processed tree; an empty one renders the "no results" message
+    activeFetch = null;
+    publishTree();
+    loadedRange = { startTime, endTime };
+    showFetchNotice(notices.length > 0 ? notices.join(" ") : null);
     console.log(`Stored ${currentFullTree.length} root nodes in full tree.`);
+  } catch (error) {
+    if (fetchState.superseded) return;
+    console.error("Error fetching or building history tree:", error);
+    historyTreeDiv.textContent = msg("errorOccurred", error.message);
+    currentFullTree = []; // Clear stored tree on error
+    activeFetch = null;
+    hideLoading(); // Hide loading on error
+  }
+}
+
+/**
+ * Builds the referrer tree from collected visits, collapses redirect chains and optionally merges repeated pages.
+ * Visits of a hidden transition type are left out; their children hang from the nearest shown ancestor.
+ * Context ancestors left with nothing of the range below them are dropped, and roots whose referrer
+ * could not be found are flagged as orphans.
+ * Returns the root nodes.
+ */
+function buildTreeFromVisits(allVisitsMap, shouldFilterDuplicates) {
+  const nodes = {};
+  const rootNodes = [];
+  allVisitsMap.forEach((value, visitId) => {
+    if (isVisitHidden(value)) return;
+    nodes[visitId] = { id: visitId, data: value, children: [] };
+  });
+  allVisitsMap.forEach((value, visitId) => {
+    const currentNode = nodes[visitId];
+    if (!currentNode) return;
+    const referringVisitId = shownReferrerId(allVisitsMap, value.visitData.referringVisitId);
+    if (referringVisitId && referringVisitId !== "0" && nodes[referringVisitId]) {
+      nodes[referringVisitId].children.push(currentNode);
+    } else {
+      rootNodes.push(currentNode);
+    }
+  });
+  // Every visitId is a key of allVisitsMap once, so each node was placed exactly once above
+  let finalRootNodes = pruneEmptyContext(rootNodes);
+
+  if (collapseRedirects) {
+    finalRootNodes = collapseRedirectChains(finalRootNodes);
+  }
+  // Roots whose referrer was looked up before the range but is gone
+  finalRootNodes.forEach((node) => {
+    const referringVisitId = shownReferrerId(allVisitsMap, allVisitsOfNode(node)[0].visitData.referringVisitId);
+    if (missingReferrerIds.has(referringVisitId)) node.orphan = true;
+  });
+  // Merge repeated pages (Optional); roots are siblings too, within one idle-gap window
+  if (shouldFilterDuplicates) {
+    finalRootNodes = mergeSamePageRoots(finalRootNodes, sessionGapMs());
+  }
+  return finalRootNodes;
+}
+
+/**
+ * Removes, in place, the context ancestors left without a visit of the range below them, e.g. because
+ * a privacy rule or the transition filter hid all of it. Returns nodes.
+ */
+function pruneEmptyContext(nodes) {
+  for (let i = nodes.length - 1; i >= 0; i--) {
+    pruneEmptyContext(nodes[i].children);
+    if (nodes[i].data.context && nodes[i].children.length === 0) nodes.splice(i, 1);
+  }
+  return nodes;
+}
+
+/**
+ * Runs worker over items with at most `limit` calls in flight. Stops picking up new items once
+ * fetchState.cancelled is set.
+ */
+async function runWithConcurrency(items, limit, fetchState, worker) {
+  let next = 0;
+  const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length && !fetchState.cancelled) {
+      const item = items[next++];
+      await worker(item);
+    }
+  });
+  await Promise.all(runners);
+}
+
+/**
+ * Whether a loaded visit is left out of the tree: its transition type is unchecked or a "hide" privacy rule matches.
+ */
+function isVisitHidden(value) {
+  if (hiddenTransitions.has(value.visitData.transition)) return true;
+  return Boolean(findPrivacyRule(value.historyItem.url, privacyRules, "hide"));
+}
+
+/**
+ * Follows the referrer chain past hidden visits and returns the first shown referrer's id,
+ * so the children of a hidden visit move up to its closest shown ancestor.
+ */
+function shownReferrerId(visitsMap, referringVisitId) {
+  let visitId = referringVisitId;
+  const seen = new Set();
+  while (visitId && visitsMap.has(visitId) && !seen.has(visitId)) {
+    const value = visitsMap.get(visitId);
+    if (!isVisitHidden(value)) break;
+    seen.add(visitId);
+    visitId = value.visitData.referringVisitId;
+  }
+  return visitId;
+}
+
+/**
+ * Rebuilds the tree from the already loaded visits (e.g. after the transition filter changed), without re-fetching.
+ */
+function rebuildFromLoadedVisits() {
+  currentFullTree = buildTreeFromVisits(loadedVisits, filterDuplicatesCheckbox && filterDuplicatesCheckbox.checked);
+  nodesByVisitId = indexNodesByVisitId(currentFullTree);
+  rerenderPreservingState();
+}
+
+// --- Settings ---
+
+/**
+ * Applies saved settings (all of them at startup, the changed ones later) to the page state and controls.
+ * The controls stay usable as overrides for this page; only the options page saves.
+ * Returns whether the tree has to be rebuilt from the loaded visits.
+ */
+function applySettings(settings) {
+  let rebuild = false;
+  if ("hideDuplicates" in settings && filterDuplicatesCheckbox) {
+    filterDuplicatesCheckbox.checked = settings.hideDuplicates;
+    rebuild = true;
+  }
+  if ("hiddenTransitions" in settings) {
+    hiddenTransitions.clear();
+    settings.hiddenTransitions.forEach((transition) => hiddenTransitions.add(transition));
+    rebuild = true;
+  }
+  if ("ignoreUrlFragments" in settings || "ignoredUrlParams" in settings) {
+    if ("ignoreUrlFragments" in settings) ignoreUrlFragments = settings.ignoreUrlFragments;
+    if ("ignoredUrlParams" in settings) ignoredUrlParamPatterns = compileUrlParamPatterns(settings.ignoredUrlParams);
+    normalizedUrls.clear();
+    rebuild = true;
+  }
+  if ("contextDepth" in settings) contextDepth = settings.contextDepth; // Used by the next fetch
+  if ("collapseRedirects" in settings) {
+    collapseRedirects = settings.collapseRedirects;
+    rebuild = true;
+  }
+  if ("timestampFormat" in settings) {
+    timestampFormat = settings.timestampFormat;
+    if (timestampFormatSelect) timestampFormatSelect.value = timestampFormat;
+  }
+  if ("theme" in settings) applyTheme(settings.theme);
+  if ("privacyRules" in settings) {
+    privacyRules = settings.privacyRules;
+    renderPrivacyRules();
+    rebuild = true;
+  }
+  return rebuild;
+}
+
+// --- Privacy Rules ---
+
+/**
+ * Lists the privacy rules in the sidebar, each with a preview and a remove button.
+ */
+function renderPrivacyRules() {
+  if (!privacyRulesList) return;
+  if (privacyRules.length === 0) {
+    privacyRulesList.textContent = msg("noPrivacyRules");
+    return;
+  }
+  const fragment = document.createDocumentFragment();
+  privacyRules.forEach((rule, index) => {
+    const row = document.createElement("div");
+    row.className = "privacy-rule";
+
+    const pattern = document.createElement("span");
+    pattern.className = "privacy-pattern";
+    pattern.textContent = rule.pattern;
+    pattern.title = rule.pattern;
+
+    const action = document.createElement("span");
+    action.className = `privacy-action privacy-action-${rule.action}`;
+    action.textContent = msg(rule.action === "purge" ? "privacyActionPurge" : "privacyActionHide");
+
+    const previewButton = document.createElement("button");
+    previewButton.textContent = msg("buttonPreview");
+    previewButton.addEventListener("click", () => showPrivacyPreview(rule.pattern, rule.action));
+
+    const removeButton = document.createElement("button");
+    removeButton.textContent = "×";
+    removeButton.title = msg("removeRuleTitle");
+    removeButton.addEventListener("click", () => removePrivacyRule(index));
+
+    row.append(pattern, action, previewButton, removeButton);
+    fragment.appendChild(row);
+  });
+  privacyRulesList.replaceChildren(fragment);
+}
+
+/**
+ * Dry run of a rule: lists the loaded visits (the current date range) it would match, without changing anything.
+ */
+function showPrivacyPreview(pattern, action) {
+  if (!privacyPreviewDiv) return;
+  const urlCounts = new Map();
+  let visitCount = 0;
+  loadedVisits.forEach((value) => {
+    const url = value.historyItem.url;
+    if (value.context || !urlMatchesPrivacyPattern(url, pattern)) return;
+    visitCount++;
+    urlCounts.set(url, (urlCounts.get(url) || 0) + 1);
+  });
+
+  const summary = document.createElement("div");
+  summary.textContent = msg("privacyPreviewSummary", [
+    pattern,
+    msgCount("visitCount", visitCount),
+    msgCount("urlCount", urlCounts.size),
+  ]);
+  const parts = [summary];
+  if (action === "purge" && urlCounts.size > 0) {
+    const note = document.createElement("div");
+    note.className = "privacy-purge-note";
+    note.textContent = msg("privacyPurgeNote");
+    parts.push(note);
+  }
+  const list = document.createElement("ul");
+  topEntries(urlCounts, PRIVACY_PREVIEW_LIMIT).forEach(([url, count]) => {
+    const item = document.createElement("li");
+    item.textContent = `${url} (${count})`;
+    item.title = url;
+    list.appendChild(item);
+  });
+  if (urlCounts.size > PRIVACY_PREVIEW_LIMIT) {
+    const more = document.createElement("li");
+    more.textContent = msg("privacyPreviewMore", urlCounts.size - PRIVACY_PREVIEW_LIMIT);
+    list.appendChild(more);
+  }
+  parts.push(list);
+  privacyPreviewDiv.replaceChildren(...parts);
+  privacyPreviewDiv.style.display = "";
+}
+
+/**
+ * Saves a new rule; the tree and the background purge pick it up through storage.onChanged.
+ * Resolves with whether the rule was added.
+ */
+async function addPrivacyRule(pattern, action) {
+  const trimmed = pattern.trim();
+  if (!trimmed) return false;
+  if (privacyRules.some((rule) => rule.pattern === trimmed && rule.action === action)) {
+    alert(msg("privacyRuleExists"));
+    return false;
+  }
+  if (action === "purge" && !confirm(msg("confirmPurgeRule", trimmed))) return false;
+  try {
+    await saveSettings({ privacyRules: [...privacyRules, { pattern: trimmed, action: action }] });
+    return true;
+  } catch (error) {
+    console.error("Error saving privacy rules:", error);
+    alert(msg("errorSaveRules", error.message));
+    return false;
+  }
+}
+
+async function removePrivacyRule(index) {
+  try {
+    await saveSettings({ privacyRules: privacyRules.filter((_, ruleIndex) => ruleIndex !== index) });
+  } catch (error) {
+    console.error("Error saving privacy rules:", error);
+    alert(msg("errorSaveRules", error.message));
+  }
+}
+
+/**
+ * Renders the log of URLs deleted by auto-purge rules, newest first.
+ */
+async function renderPurgeLog() {
+  if (!purgeLogList) return;
+  const log = await loadPurgeLog();
+  if (log.length === 0) {
+    purgeLogList.textContent = msg("purgeLogEmpty");
+    return;
+  }
+  const fragment = document.createDocumentFragment();
+  log.forEach((entry) => {
+    const row = document.createElement("div");
+    row.className = "purge-log-entry";
+    row.textContent = `${new Date(entry.time).toLocaleString()} · ${entry.url}`;
+    row.title = msg("purgeLogEntryTitle", [entry.url, entry.pattern, msg(`purgeTrigger_${entry.trigger}`)]);
+    fragment.appendChild(row);
+  });
+  purgeLogList.replaceChildren(fragment);
+}
+
+// --- Transition Filter ---
+
+/**
+ * Creates the badge shown for a visit's transition type.
+ */
+function createTransitionBadge(transition) {
+  const badge = document.createElement("span");
+  badge.className = `transition transition-${transition}`;
+  badge.textContent = TRANSITION_BADGES[transition] || "?";
+  badge.title = TRANSITION_BADGES[transition]
+    ? msg("transitionBadgeTitle", [transition, msg(`transition_${transition}`)])
+    : transition;
+  return badge;
+}
+
+/**
+ * Renders one checkbox per transition type with the number of loaded visits of that type.
+ * Unchecked types are hidden from the tree.
+ */
+function renderTransitionFilters() {
+  if (!transitionFiltersDiv) return;
+  const counts = new Map();
+  loadedVisits.forEach((value) => {
+    if (value.context || findPrivacyRule(value.historyItem.url, privacyRules, "hide")) return;
+    const transition = value.visitData.transition;
+    counts.set(transition, (counts.get(transition) || 0) + 1);
+  });
+
+  const fragment = document.createDocumentFragment();
+  TRANSITION_TYPES.forEach((transition) => {
+    const label = document.createElement("label");
+    label.className = "transition-filter";
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.value = transition;
+    checkbox.checked = !hiddenTransitions.has(transition);
+    label.append(checkbox, createTransitionBadge(transition), ` ${transition} (${counts.get(transition) || 0})`);
+    fragment.appendChild(label);
+  });
+  transitionFiltersDiv.replaceChildren(fragment);
+}
+
+// --- Statistics Panel ---
+
+/**
+ * Adds a term to the search box and re-renders with it. Terms of the operators in replacedKeys are taken out
+ * first: another site: or time window ANDed to the one clicked before would match nothing.
+ */
+function applySearchTerm(term, replacedKeys = []) {
+  if (!searchInput) return;
+  let current = searchInput.value;
+  let tokens = [];
+  try {
+    tokens = tokenizeSearchQuery(current);
+  } catch (error) {
+    // An unfinished phrase or regex is left as it is
+  }
+  tokens
+    .filter((token) => !token.negate && replacedKeys.includes(token.key))
+    .reverse()
+    .forEach((token) => {
+      current = current.slice(0, token.start) + current.slice(token.end).replace(/^\s+/, "");
+    });
+  current = current.trim();
+  searchInput.value = current ? `${current} ${term}` : term;
+  renderFilteredTree();
+}
+
+/**
+ * Creates a clickable statistics row: a label, its count and an optional bar relative to max.
+ */
+function createStatsRow(label, count, max, onClick, title) {
+  const row = document.createElement("button");
+  row.type = "button";
+  row.className = "stats-row";
+  row.title = title || label;
+  const labelSpan = document.createElement("span");
+  labelSpan.className = "stats-label";
+  labelSpan.textContent = label;
+  const countSpan = document.createElement("span");
+  countSpan.className = "stats-count";
+  countSpan.textContent = count;
+  row.append(labelSpan, countSpan);
+  if (max) row.style.setProperty("--share", `${Math.round((count / max) * 100)}%`);
+  row.addEventListener("click", onClick);
+  return row;
+}
+
+/**
+ * Recomputes the statistics of the shown tree (all loaded visits, not just the search results),
+ * fills the sidebar panel and refreshes the calendar's activity shading.
+ */
+function updateStatistics() {
+  const stats = computeHistoryStats(currentFullTree);
+  dayActivity = stats.days;
+  if (datePicker) datePicker.render();
+  if (!statsPanelDiv) return;
+
+  if (stats.total === 0) {
+    statsPanelDiv.textContent = msg("noVisitsLoaded");
+    return;
+  }
+  const fragment = document.createDocumentFragment();
+  const heading = (text) => {
+    const h3 = document.createElement("h3");
+    h3.textContent = text;
+    fragment.appendChild(h3);
+  };
+
+  heading(msg("statsTopDomains"));
+  const maxDomain = stats.domains.length > 0 ? stats.domains[0][1] : 0;
+  stats.domains.forEach(([domain, count]) => {
+    fragment.appendChild(createStatsRow(domain, count, maxDomain, () => applySearchTerm(`site:${domain}`, ["site"])));
+  });
+
+  heading(msg("statsVisitsPerHour"));
+  const histogram = document.createElement("div");
+  histogram.className = "stats-histogram";
+  const maxHour = Math.max(...stats.hours);
+  stats.hours.forEach((count, hour) => {
+    const bar = document.createElement("button");
+    bar.type = "button";
+    bar.className = "stats-hour";
+    bar.style.setProperty("--share", `${maxHour ? Math.round((count / maxHour) * 100) : 0}%`);
+    const from = `${String(hour).padStart(2, "0")}:00`;
+    const to = `${String(hour + 1).padStart(2, "0")}:00`;
+    bar.title = msg("statsHourTitle", [from, to, msgCount("visitCount", count)]);
+    // There is no 24:00, so the last hour is only bounded below
+    bar.addEventListener("click", () =>
+      applySearchTerm(hour < 23 ? `after:${from} before:${to}` : `after:${from}`, ["after", "before"])
+    );
+    histogram.appendChild(bar);
+  });
+  fragment.appendChild(histogram);
+
+  heading(msg("statsChains"));
+  if (stats.deepest) {
+    const root = stats.deepest.root.data.historyItem;
+    fragment.appendChild(
+      createStatsRow(msg("statsDeepest", root.title || root.url), msg("statsLevels", stats.deepest.depth), 0, () =>
+        revealVisit(stats.deepest.node.data.visitData.visitId)
+      )
+    );
+  }
+  if (stats.widest) {
+    const item = stats.widest.node.data.historyItem;
+    fragment.appendChild(
+      createStatsRow(msg("statsWidest", item.title || item.url), msg("statsLinks", stats.widest.width), 0, () =>
+        revealVisit(stats.widest.node.data.visitData.visitId)
+      )
+    );
+  }
+
+  if (stats.revisited.length > 0) {
+    heading(msg("statsMostRevisited"));
+    stats.revisited.forEach((page) => {
+      fragment.appendChild(
+        createStatsRow(
+          page.title || page.url,
+          page.count,
+          stats.revisited[0].count,
+          () => revealVisit(page.node.data.visitData.visitId),
+          page.url
+        )
+      );
+    });
+  }
+  statsPanelDiv.replaceChildren(fragment);
+}
+
+/**
+ * Litepicker render:day hook: shades each calendar day by its number of visits in the shown tree.
+ */
+function shadeCalendarDay(dayElement, date) {
+  const count = dayActivity.get(localDayKey(date.toJSDate()));
+  if (!count) return;
+  const max = Math.max(...dayActivity.values());
+  dayElement.dataset.activity = Math.max(1, Math.ceil((count / max) * DAY_ACTIVITY_LEVELS));
+  dayElement.title = msgCount("visitCount", count);
+}
+
+// --- Loading Indicator ---
+
+/**
+ * Shows the loading bar with a status text. fraction is 0..1, or null for an indeterminate bar.
+ * The Cancel button is only offered while a fetch is running.
+ */
+function showLoading(text, fraction) {
+  if (!loadingDiv) return;
+  loadingDiv.style.display = "flex";
+  if (loadingText) loadingText.textContent = text;
+  if (loadingProgress) {
+    if (fraction === null || fraction === undefined) {
+      loadingProgress.removeAttribute("value");
+    } else {
+      loadingProgress.value = fraction;
+    }
+  }
+  if (loadingCancelButton) loadingCancelButton.style.display = activeFetch ? "" : "none";
+}
+
+function hideLoading() {
+  if (loadingDiv) loadingDiv.style.display = "none";
+}
+
+/**
+ * Shows (or with null, hides) the notice about incomplete results above the tree.
+ */
+function showFetchNotice(message) {
+  if (!fetchNoticeDiv) return;
+  fetchNoticeDiv.textContent = message || "";
+  fetchNoticeDiv.style.display = message ? "block" : "none";
+}
+
+/**
+ * Adds archived visits that fall into the range but are older than Chrome's retention window
+ * (CHROME_HISTORY_EXPIRY_DAYS in archive.js).
+ * Newer visits always come from Chrome, so deletions made in Chrome are not resurrected from the archive.
+ * Returns the number of visits added to allVisitsMap.
+ */
+async function mergeArchivedVisits(allVisitsMap, startTime, endTime) {
+  const retentionStart = Date.now() - CHROME_HISTORY_EXPIRY_DAYS * 24 * 60 * 60 * 1000;
+  if (startTime >= retentionStart) return 0;
+
+  let records = [];
+  try {
+    records = await getArchivedVisits(startTime, Math.min(endTime, retentionStart));
+  } catch (error) {
+    console.warn("Could not read the local archive:", error);
+    return 0;
+  }
+  let added = 0;
+  records.forEach((record) => {
+    if (isViewerUrl(record.url)) return;
+    if (allVisitsMap.has(record.visitId)) return;
+    allVisitsMap.set(record.visitId, archivedRecordToVisit(record));
+    added++;
+  });
+  return added;
+}
+
+/**
+ * Turns an archive record (archive.js) into the { visitData, historyItem } shape of a loaded visit.
+ */
+function archivedRecordToVisit(record) {
+  return {
+    visitData: {
+      visitId: record.visitId,
+      referringVisitId: record.referringVisitId,
+      transition: record.transition,
+      visitTime: record.visitTime,
+    },
+    historyItem: { url: record.url, title: record.title },
+    archived: true,
+  };
+}
+
+/**
+ * Adds the visits before startTime that the loaded visits came from, up to contextDepth levels, flagged as context:
+ * they are shown dimmed and left out of counts and filters. A referrer is taken from earlierVisits, the local
+ * archive or a search that goes back in doubling windows, at most CONTEXT_LOOKBACK_MS; full pages are split like in
+ * fetchAndBuildTree. Referrers found nowhere go into missingReferrerIds and, unless a page stayed full even at
+ * MIN_FETCH_WINDOW_MS, are not searched for again (unfoundReferrers). Returns the number of visits added.
+ */
+async function addContextAncestors(allVisitsMap, earlierVisits, seenUrls, startTime, fetchState) {
+  const viewerVisitIds = new Set(); // Visits of this page are real referrers that are never shown
+  try {
+    const viewerItems = await chrome.history.search({
+      text: chrome.runtime.getURL("history.html"),
+      startTime: 0,
+      maxResults: HISTORY_PAGE_SIZE,
+    });
+    for (const item of viewerItems.filter((candidate) => isViewerUrl(candidate.url))) {
+      (await chrome.history.getVisits({ url: item.url })).forEach((visit) => viewerVisitIds.add(visit.visitId));
+    }
+  } catch (error) {
+    console.warn("Could not get the viewer's own visits:", error);
+  }
+  const referrersToFind = (values) => {
+    const ids = new Set(values.map((value) => value.visitData.referringVisitId));
+    return Array.from(ids).filter((id) => id && id !== "0" && !allVisitsMap.has(id) && !viewerVisitIds.has(id));
+  };
+  const lookbackStart = startTime - CONTEXT_LOOKBACK_MS;
+  let searchedUntil = startTime;
+  let windowSize = CONTEXT_FIRST_WINDOW_MS;
+  let lookbackComplete = true; // False once a page stayed full, so referrers in the cut-off part may exist
+
+  // Collects into earlierVisits the visits before the range of the URLs visited between start and end
+  const searchLookbackWindow = async (start, end) => {
+    const windows = [{ start: start, end: end }];
+    while (windows.length > 0 && !fetchState.cancelled) {
+      const timeWindow = windows.pop();
+      const items = await chrome.history.search({
+        text: "",
+        startTime: timeWindow.start,
+        endTime: timeWindow.end,
+        maxResults: HISTORY_PAGE_SIZE,
+      });
+      if (items.length >= HISTORY_PAGE_SIZE) {
+        if (timeWindow.end - timeWindow.start > MIN_FETCH_WINDOW_MS) {
+          const middle = Math.floor((timeWindow.start + timeWindow.end) / 2);
+          windows.push({ start: timeWindow.start, end: middle });
+          windows.push({ start: middle + 1, end: timeWindow.end });
+          continue;
+        }
+        lookbackComplete = false;
+      }
+      const newItems = items.filter((item) => !seenUrls.has(item.url) && !isViewerUrl(item.url));
+      newItems.forEach((item) => seenUrls.add(item.url));
+      await runWithConcurrency(newItems, GET_VISITS_CONCURRENCY, fetchState, async (item) => {
+        try {
+          (await chrome.history.getVisits({ url: item.url })).forEach((visit) => {
+            if (visit.visitTime < startTime && visit.visitTime >= lookbackStart) {
+              earlierVisits.set(visit.visitId, { visitData: visit, historyItem: item, context: true });
+            }
+          });
+        } catch (error) {
+          console.warn(`Could not get visits for ${item.url}:`, error);
+        }
+      });
+    }
+  };
+
+  let pending = referrersToFind(Array.from(allVisitsMap.values()));
+  let added = 0;
+  for (let level = 0; level < contextDepth && pending.length > 0; level++) {
+    const found = [];
+    let unresolved = [];
+    for (const visitId of pending) {
+      let value = earlierVisits.get(visitId);
+      if (!value) {
+        const record = await getArchivedVisit(visitId).catch(() => undefined);
+        if (record && isViewerUrl(record.url)) continue;
+        if (record) value = { ...archivedRecordToVisit(record), context: true };
+      }
+      if (value) {
+        found.push(value);
+      } else if (unfoundReferrers.get(visitId) <= lookbackStart) {
+        missingReferrerIds.add(visitId); // Already searched for as far back, it will not turn up now
+      } else {
+        unresolved.push(visitId);
+      }
+    }
+
+    // Search further back until the rest turned up or the lookback is used up
+    while (unresolved.length > 0 && searchedUntil > lookbackStart && !fetchState.cancelled) {
+      const windowStart = Math.max(lookbackStart, searchedUntil - windowSize);
+      await searchLookbackWindow(windowStart, searchedUntil - 1);
+      if (fetchState.cancelled) break;
+      searchedUntil = windowStart;
+      windowSize *= 2;
+      unresolved = unresolved.filter((visitId) => {
+        if (!earlierVisits.has(visitId)) return true;
+        found.push(earlierVisits.get(visitId));
+        return false;
+      });
+    }
+    if (fetchState.cancelled) break;
+
+    unresolved.forEach((visitId) => {
+      missingReferrerIds.add(visitId);
+      if (lookbackComplete) unfoundReferrers.set(visitId, lookbackStart);
+    });
+    found.forEach((value) => allVisitsMap.set(value.visitData.visitId, value));
+    added += found.length;
+    pending = referrersToFind(found);
+  }
+  return added;
+}
+
+// --- Deletion ---
+
+/**
+ * Builds what each deletion mode would remove for the selected nodes:
+ * - visit:  only the selected visits (with the visits merged into them and their redirect hops)
+ * - branch: the selected visits plus all of their descendants
+ * - url:    every visit to the selected URLs, from all time
+ * Each plan carries the visits to delete, the affected URLs and a visitCount for the preview.
+ */
+function buildDeletionPlans(selectedNodes) {
+  const planFromNodes = (nodes) => {
+    const visits = new Map();
+    nodes.forEach((node) => allVisitsOfNode(node).forEach((data) => visits.set(data.visitData.visitId, data)));
+    const urls = new Set(Array.from(visits.values()).map((data) => data.historyItem.url));
+    return { visits: Array.from(visits.values()), urls, visitCount: visits.size };
+  };
+
+  const branchNodes = [];
+  const collect = (node) => {
+    branchNodes.push(node);
+    node.children.forEach(collect);
+  };
+  selectedNodes.forEach(collect);
+
+  const urlPlan = planFromNodes(selectedNodes);
+  // historyItem.visitCount covers all time; archived-only entries have no count, so fall back to what is loaded
+  const visitCountByUrl = new Map();
+  urlPlan.visits.forEach((data) => {
+    visitCountByUrl.set(data.historyItem.url, data.historyItem.visitCount || 0);
+  });
+  loadedVisits.forEach((data) => {
+    const url = data.historyItem.url;
+    if (urlPlan.urls.has(url) && !data.historyItem.visitCount) {
+      visitCountByUrl.set(url, visitCountByUrl.get(url) + 1);
+    }
+  });
+  urlPlan.visitCount = Array.from(visitCountByUrl.values()).reduce((sum, count) => sum + count, 0);
+
+  return { visit: planFromNodes(selectedNodes), branch: planFromNodes(branchNodes), url: urlPlan };
+}
+
+/**
+ * Shows the deletion dialog with a preview of every mode, defaultMode preselected.
+ * Resolves with the chosen mode ("visit", "branch" or "url"), or null if cancelled.
+ */
+function showDeletionDialog(plans, defaultMode = "visit") {
+  Object.entries(plans).forEach(([mode, plan]) => {
+    const preview = deleteDialog.querySelector(`.delete-preview[data-mode="${mode}"]`);
+    preview.textContent = msg("deletePreview", [
+      msgCount("visitCount", plan.visitCount),
+      msgCount("urlCount", plan.urls.size),
+    ]);
+  });
+  deleteDialog.querySelector(`input[name="delete-mode"][value="${defaultMode}"]`).checked = true;
+
+  return new Promise((resolve) => {
+    deleteDialog.addEventListener(
+      "close",
+      () => {
+        if (deleteDialog.returnValue !== "confirm") {
+          resolve(null);
+          return;
+        }
+        resolve(deleteDialog.querySelector('input[name="delete-mode"]:checked').value);
+      },
+      { once: true }
+    );
+    deleteDialog.returnValue = "";
+    deleteDialog.showModal();
+  });
+}
+
+/**
+ * Lists the individual chrome.history calls a plan makes: URLs in "url" mode, visit data otherwise.
+ */
+function deletionUnits(mode, plan) {
+  return mode === "url" ? Array.from(plan.urls) : plan.visits;
+}
+
+/**
+ * Runs a deletion plan against chrome.history and the local archive.
+ * Single visits are removed with a deleteRange window just around their visitTime;
+ * "url" mode removes every visit of each URL with deleteUrl.
+ * Resolves with the Promise.allSettled results of the chrome.history calls, in deletionUnits order.
+ */
+async function executeDeletionPlan(mode, plan) {
+  let deletionPromises;
+  if (mode === "url") {
+    deletionPromises = deletionUnits(mode, plan).map((url) =>
+      chrome.history.deleteUrl({ url: url }).then(() => console.log(`Successfully requested deletion for ${url}`))
+    );
+  } else {
+    deletionPromises = deletionUnits(mode, plan).map((data) => {
+      const visitTime = data.visitData.visitTime;
+      return chrome.history.deleteRange({ startTime: visitTime, endTime: visitTime + SINGLE_VISIT_WINDOW_MS });
+    });
+  }
+
+  // Wait for all deletion requests to be processed (success or fail)
+  const results = await Promise.allSettled(deletionPromises);
+  results.forEach((result) => {
+    if (result.status === "rejected") {
+      console.error("Error deleting history:", result.reason);
+    }
+  });
+
+  // The archive would otherwise keep showing deleted visits once they fall out of Chrome's window
+  try {
+    if (mode === "url") {
+      await deleteArchivedUrls(Array.from(plan.urls));
+    } else {
+      await deleteArchivedVisits(plan.visits.map((data) => data.visitData.visitId));
+    }
+  } catch (error) {
+    console.warn("Could not remove deleted visits from the local archive:", error);
+  }
+  return results;
+}
+
+/**
+ * Asks how to delete the given nodes (see buildDeletionPlans), deletes them, offers undo and reloads the tree.
+ * defaultMode is the option preselected in the dialog.
+ */
+async function deleteNodesWithDialog(selectedNodes, defaultMode) {
+  // 1. **** CRITICAL: Let the user pick the scope, with a preview of each ****
+  const plans = buildDeletionPlans(selectedNodes);
+  const mode = await showDeletionDialog(plans, defaultMode);
+  if (!mode) {
+    console.log("Deletion cancelled by user.");
+    return;
+  }
+
+  // 2. Snapshot what is about to be deleted so it can be restored
+  console.log(`Deleting in mode "${mode}":`, plans[mode]);
+  showLoading(msg("deletingHistory"), null); // Show loading indicator during deletion
+  let batch;
+  let results;
+  try {
+    batch = await snapshotDeletion(mode, plans[mode]);
+
+    // 3. Proceed with deletion
+    results = await executeDeletionPlan(mode, plans[mode]);
+  } catch (error) {
+    console.error("Error deleting history:", error);
+    showToast(msg("deleteFailed", error.message));
+    await fetchAndBuildTree(); // Shows whatever was deleted before the failure and hides the loading bar
+    return;
+  }
+  const failedUnits = deletionUnits(mode, plans[mode]).filter((unit, i) => results[i].status === "rejected");
+  const deletionErrors = failedUnits.length;
+
+  // 4. Keep only what was actually deleted in the undo batch
+  const failedKeys = new Set(failedUnits.map((unit) => (mode === "url" ? unit : unit.visitData.visitTime)));
+  batch.entries = batch.entries
+    .map((entry) => ({
+      ...entry,
+      visits: entry.visits.filter((visit) => !failedKeys.has(mode === "url" ? entry.url : visit.visitTime)),
+    }))
+    .filter((entry) => entry.visits.length > 0);
+  batch.visitCount = batch.entries.reduce((sum, entry) => sum + entry.visits.length, 0);
+
+  let message = msg("deletedSummary", [batch.visitCount, batch.entries.length]);
+  if (deletionErrors > 0) {
+    const failedUrls = failedUnits.slice(0, 3).map((unit) => (mode === "url" ? unit : unit.historyItem.url));
+    const failedList = `${failedUrls.join(", ")}${deletionErrors > 3 ? ", …" : ""}`;
+    message += ` ${msg("deletionsFailed", [deletionErrors, failedList])}`;
+  }
+  if (batch.visitCount > 0) {
+    try {
+      await saveDeletedBatch(batch);
+      showToast(message, { actionLabel: msg("buttonUndo"), onAction: () => restoreDeletedBatch(batch.id) });
+    } catch (error) {
+      // The visits are deleted either way, only the undo is lost
+      console.error("Error saving the deleted batch:", error);
+      showToast(`${message} ${msg("undoSaveFailed", error.message)}`);
+    }
+  } else {
+    showToast(message);
+  }
+
+  await fetchAndBuildTree();
+  updateArchiveStatus();
+  renderRecentlyDeleted();
+}
+
+// --- Undo & Recently Deleted ---
+
+/**
+ * Records the historyItems and visits a deletion plan is about to remove.
+ * In "url" mode every visit of each URL is fetched, not only the ones loaded in the tree.
+ */
+async function snapshotDeletion(mode, plan) {
+  const titles = new Map(plan.visits.map((data) => [data.historyItem.url, data.historyItem.title || ""]));
+  const entriesByUrl = new Map();
+  const addVisit = (url, visit) => {
+    if (!entriesByUrl.has(url)) {
+      entriesByUrl.set(url, { url: url, title: titles.get(url) || "", visits: [] });
+    }
+    entriesByUrl.get(url).visits.push({
+      visitTime: visit.visitTime,
+      transition: visit.transition,
+      referringVisitId: visit.referringVisitId,
+    });
+  };
+
+  if (mode === "url") {
+    for (const url of plan.urls) {
+      try {
+        const visits = await chrome.history.getVisits({ url: url });
+        visits.forEach((visit) => addVisit(url, visit));
+      } catch (error) {
+        console.warn(`Could not snapshot visits for ${url}:`, error);
+      }
+    }
+  } else {
+    plan.visits.forEach((data) => addVisit(data.historyItem.url, data.visitData));
+  }
+
+  const entries = Array.from(entriesByUrl.values());
+  return {
+    id: `${Date.now()}`,
+    deletedAt: Date.now(),
+    mode: mode,
+    entries: entries,
+    visitCount: entries.reduce((sum, entry) => sum + entry.visits.length, 0),
+  };
+}
+
+async function loadDeletedBatches() {
+  const stored = await chrome.storage.local.get(RECENTLY_DELETED_KEY);
+  return stored[RECENTLY_DELETED_KEY] || [];
+}
+
+/**
+ * Adds a batch to the front of the "recently deleted" list, keeping only the newest few.
+ */
+async function saveDeletedBatch(batch) {
+  const batches = await loadDeletedBatches();
+  batches.unshift(batch);
+  await chrome.storage.local.set({ [RECENTLY_DELETED_KEY]: batches.slice(0, RECENTLY_DELETED_LIMIT) });
+}
+
+async function removeDeletedBatch(batchId) {
+  const batches = await loadDeletedBatches();
+  await chrome.storage.local.set({ [RECENTLY_DELETED_KEY]: batches.filter((batch) => batch.id !== batchId) });
+}
+
+/**
+ * Re-adds the pages of a deleted batch with chrome.history.addUrl, which takes only a URL and a title:
+ * every page comes back as one visit at the current time, without its original times, transitions and referrers.
+ * Resolves with { restored, failed } page counts, or null if nothing could be restored;
+ * failures are reported in the toast.
+ */
+async function restoreDeletedBatch(batchId) {
+  try {
+    return await restoreDeletedBatchVisits(batchId);
+  } catch (error) {
+    console.error("Error restoring deleted visits:", error);
+    showToast(msg("restoreBatchFailed", error.message));
+    hideLoading();
+    // Re-enables its Restore button
+    renderRecentlyDeleted().catch((renderError) => console.error("Error listing deleted visits:", renderError));
+    return null;
+  }
+}
+
+async function restoreDeletedBatchVisits(batchId) {
+  const batch = (await loadDeletedBatches()).find((candidate) => candidate.id === batchId);
+  if (!batch) {
+    showToast(msg("undoExpired"));
+    return null;
+  }
+
+  const outcome = { restored: 0, failed: 0 };
+  for (const entry of batch.entries) {
+    try {
+      await chrome.history.addUrl({ url: entry.url, title: entry.title || undefined });
+      outcome.restored++;
+    } catch (error) {
+      console.error(`Could not restore ${entry.url}:`, error);
+      outcome.failed++;
+    }
+  }
+
+  await removeDeletedBatch(batchId);
+
+  let message = msg("restoredSummary", [outcome.restored, batch.entries.length]);
+  if (outcome.failed > 0) {
+    message += ` ${msg("restoreFailed", outcome.failed)}`;
+  }
+  showToast(message);
+
+  await fetchAndBuildTree();
+  renderRecentlyDeleted();
+  return outcome;
+}
+
+/**
+ * Renders the "recently deleted" list in the sidebar, each batch with a Restore button.
+ */
+async function renderRecentlyDeleted() {
+  if (!recentlyDeletedList) return;
+  const batches = await loadDeletedBatches();
+  recentlyDeletedList.innerHTML = "";
+  if (batches.length === 0) {
+    recentlyDeletedList.textContent = msg("nothingDeleted");
+    return;
+  }
+  batches.forEach((batch) => {
+    const row = document.createElement("div");
+    row.className = "recently-deleted-item";
+
+    const summary = document.createElement("span");
+    const firstUrl = batch.entries[0] ? batch.entries[0].title || batch.entries[0].url : "";
+    const deletedAt = new Date(batch.deletedAt).toLocaleString();
+    summary.textContent = msg("deletedBatchSummary", [deletedAt, batch.visitCount, firstUrl]);
+    summary.title = batch.entries.map((entry) => entry.url).join("\n");
+    row.appendChild(summary);
+
+    const restoreButton = document.createElement("button");
+    restoreButton.textContent = msg("buttonRestore");
+    restoreButton.title = msg("restoreHint");
+    restoreButton.addEventListener("click", () => {
+      restoreButton.disabled = true;
+      restoreDeletedBatch(batch.id);
+    });
+    row.appendChild(restoreButton);
+
+    recentlyDeletedList.appendChild(row);
+  });
+}
+
+// --- Toast ---
+
+let toastTimeout = null;
+
+/**
+ * Shows a message at the bottom of the page, optionally with one action button.
+ * The toast hides itself after durationMs or when the action is used.
+ */
+function showToast(message, { actionLabel = null, onAction = null, durationMs = UNDO_TOAST_DURATION_MS } = {}) {
+  clearTimeout(toastTimeout);
+  toastDiv.innerHTML = "";
+
+  const text = document.createElement("span");
+  text.textContent = message;
+  toastDiv.appendChild(text);
+
+  if (actionLabel && onAction) {
+    const actionButton = document.createElement("button");
+    actionButton.textContent = actionLabel;
+    actionButton.addEventListener("click", () => {
+      hideToast();
+      onAction();
+    });
+    toastDiv.appendChild(actionButton);
+  }
+
+  const closeButton = document.createElement("button");
+  closeButton.className = "toast-close";
+  closeButton.textContent = "×";
+  closeButton.title = msg("toastDismiss");
+  closeButton.addEventListener("click", hideToast);
+  toastDiv.appendChild(closeButton);
+
+  toastDiv.classList.add("visible");
+  toastTimeout = setTimeout(hideToast, durationMs);
+}
+
+function hideToast() {
+  clearTimeout(toastTimeout);
+  toastDiv.classList.remove("visible");
+}
+
+// --- Local Archive Panel ---
+
+/**
+ * Formats a byte count as a short human-readable size.
+ */
+function formatBytes(bytes) {
+  if (bytes === null || bytes === undefined) return msg("unknownSize");
+  const units = ["B", "KB", "MB", "GB"];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+}
+
+/**
+ * Refreshes the archive size indicator in the sidebar.
+ */
+async function updateArchiveStatus() {
+  if (!archiveStatusDiv) return;
+  try {
+    const stats = await getArchiveStats();
+    if (stats.count === 0) {
+      archiveStatusDiv.textContent = msg("archiveEmpty");
+      return;
+    }
+    const day = (time) => new Date(time).toLocaleDateString();
+    const lastSnapshot = stats.lastSnapshotTime ? new Date(stats.lastSnapshotTime).toLocaleString() : msg("never");
+    archiveStatusDiv.textContent = msg("archiveSummary", [
+      stats.count,
+      formatBytes(stats.usageBytes),
+      day(stats.oldestTime),
+      day(stats.newestTime),
+      lastSnapshot,
+    ]);
+  } catch (error) {
+    console.error("Error reading archive stats:", error);
+    archiveStatusDiv.textContent = msg("archiveUnavailable", error.message);
+  }
+}
+
+// --- Reopening Tabs ---
+
+/**
+ * Returns the unique URLs of the given nodes and all their descendants (from the full tree),
+ * in visit order: each node before its children, siblings oldest first.
+ */
+function collectBranchUrls(nodes) {
+  const urls = [];
+  const seen = new Set();
+  const walk = (node) => {
+    const url = node.data.historyItem.url;
+    if (url && !seen.has(url)) {
+      seen.add(url);
+      urls.push(url);
+    }
+    sortedChildren(node).forEach(walk);
+  };
+  nodes.forEach(walk);
+  return urls;
+}
+
+/**
+ * Asks before opening more than MAX_TABS_WITHOUT_CONFIRM tabs. Resolves to false if there is nothing to open
+ * or the user declined.
+ */
+function confirmTabCount(count) {
+  if (count === 0) {
+    alert(msg("noPagesToOpen"));
+    return false;
+  }
+  if (count <= MAX_TABS_WITHOUT_CONFIRM) return true;
+  return confirm(msg("confirmOpenTabs", count));
+}
+
+/**
+ * Opens the URLs as the tabs of a new browser window.
+ */
+async function openUrlsInNewWindow(urls) {
+  if (!confirmTabCount(urls.length)) return;
+  try {
+    await chrome.windows.create({ url: urls, focused: true });
+  } catch (error) {
+    console.error("Error opening new window:", error);
+    alert(msg("errorOpenWindow", error.message));
+  }
+}
+
+/**
+ * Opens the URLs as background tabs of the current window, groups them and names the group.
+ * The first tab of the group is activated.
+ */
+async function openUrlsAsTabGroup(urls, title) {
+  if (!confirmTabCount(urls.length)) return;
+  try {
+    const tabs = [];
+    for (const url of urls) {
+      tabs.push(await chrome.tabs.create({ url: url, active: false }));
+    }
+    const groupId = await chrome.tabs.group({ tabIds: tabs.map((tab) => tab.id) });
+    const groupTitle =
+      title.length > TAB_GROUP_TITLE_MAX_LENGTH ? `${title.slice(0, TAB_GROUP_TITLE_MAX_LENGTH - 1)}…` : title;
+    await chrome.tabGroups.update(groupId, { title: groupTitle });
+    await chrome.tabs.update(tabs[0].id, { active: true });
+  } catch (error) {
+    console.error("Error opening tab group:", error);
+    alert(msg("errorOpenTabGroup", error.message));
+  }
+}
+
+/**
+ * Opens the branch below a rendered visit row ("window" or "group"), named after that page's title.
+ */
+function openBranch(listItem, target) {
+  const node = nodesByVisitId.get(listItem.dataset.visitId);
+  if (!node) {
+    console.error("Could not find the node of row", listItem.dataset.visitId);
+    return;
+  }
+  const urls = collectBranchUrls([node]);
+  if (target === "window") {
+    openUrlsInNewWindow(urls);
+  } else {
+    const item = node.data.historyItem;
+    openUrlsAsTabGroup(urls, item.title || hostnameOf(item.url) || item.url);
+  }
+}
+
+/**
+ * Opens the checked visits (without their descendants), oldest first.
+ */
+function openSelected(target) {
+  const nodes = resolveSelectedNodes().sort((a, b) => a.data.visitData.visitTime - b.data.visitData.visitTime);
+  if (nodes.length === 0) {
+    alert(msg("selectToOpen"));
+    return;
+  }
+  const urls = Array.from(new Set(nodes.map((node) => node.data.historyItem.url)));
+  if (target === "window") {
+    openUrlsInNewWindow(urls);
+  } else {
+    openUrlsAsTabGroup(urls, msg("selectedTabGroupTitle", urls.length));
+  }
+}
+
+// --- Bookmarks ---
+
+/**
+ * Collects the URL of every bookmark from one chrome.bookmarks.getTree into bookmarkedUrls and re-renders once
+ * they are there. Calls share the load in progress; handleBookmarksChanged starts a new one.
+ */
+function loadBookmarkedUrls() {
+  if (bookmarkedUrlsLoad) return bookmarkedUrlsLoad;
+  const load = chrome.bookmarks
+    .getTree()
+    .then((roots) => {
+      if (load !== bookmarkedUrlsLoad) return; // The bookmarks changed meanwhile, a newer load is running
+      const urls = new Set();
+      const walk = (bookmark) => {
+        if (bookmark.url) urls.add(bookmark.url);
+        (bookmark.children || []).forEach(walk);
+      };
+      roots.forEach(walk);
+      bookmarkedUrls = urls;
+      refreshBookmarkMarks();
+    })
+    .catch((error) => console.error("Error loading bookmarks:", error));
+  bookmarkedUrlsLoad = load;
+  return load;
+}
+
+function isBookmarked(url) {
+  return bookmarkedUrls !== null && bookmarkedUrls.has(url);
+}
+
+/**
+ * Re-renders after bookmarkedUrls changed: the whole tree while it is filtered to bookmarked pages,
+ * otherwise just the rows in view.
+ */
+function refreshBookmarkMarks() {
+  if (onlyBookmarkedCheckbox && onlyBookmarkedCheckbox.checked) {
+    rerenderPreservingState();
+  } else {
+    renderViewport(true);
+  }
+}
+
+/**
+ * Shows the bookmark dialog for a branch, with every bookmark folder to pick from.
+ * Resolves with { title, parentId } of the folder to create, or null if cancelled.
+ */
+async function showBookmarkDialog(node, bookmarkCount) {
+  const options = [];
+  const addFolders = (folder, depth) => {
+    folder.children.forEach((child) => {
+      if (child.url) return;
+      const option = document.createElement("option");
+      option.value = child.id;
+      option.textContent = `${"\u00a0\u00a0".repeat(depth)}${child.title}`;
+      options.push(option);
+      addFolders(child, depth + 1);
+    });
+  };
+  const [root] = await chrome.bookmarks.getTree();
+  addFolders(root, 0);
+  bookmarkParentFolderSelect.replaceChildren(...options);
+  if (options.some((option) => option.value === lastBookmarkFolderId)) {
+    bookmarkParentFolderSelect.value = lastBookmarkFolderId;
+  }
+
+  const item = node.data.historyItem;
+  const defaultTitle = item.title || hostnameOf(item.url) || item.url;
+  bookmarkFolderNameInput.value = defaultTitle;
+  bookmarkDialog.querySelector(".bookmark-summary").textContent = msg(
+    "bookmarkDialogSummary",
+    msgCount("bookmarkCount", bookmarkCount)
+  );
+
+  return new Promise((resolve) => {
+    bookmarkDialog.addEventListener(
+      "close",
+      () => {
+        if (bookmarkDialog.returnValue !== "save") {
+          resolve(null);
+          return;
+        }
+        lastBookmarkFolderId = bookmarkParentFolderSelect.value;
+        resolve({ title: bookmarkFolderNameInput.value.trim() || defaultTitle, parentId: lastBookmarkFolderId });
+      },
+      { once: true }
+    );
+    bookmarkDialog.returnValue = "";
+    bookmarkDialog.showModal();
+  });
+}
+
+/**
+ * Bookmarks a node in the folder, then its children oldest first; a child with children of its own gets
+ * a subfolder named after it, so the folders follow the tree. Resolves with the number of bookmarks created.
+ */
+async function createBookmarkBranch(node, folderId) {
+  const item = node.data.historyItem;
+  await chrome.bookmarks.create({ parentId: folderId, title: item.title || item.url, url: item.url });
+  let count = 1;
+  for (const child of sortedChildren(node)) {
+    let childFolderId = folderId;
+    if (child.children.length > 0) {
+      const childItem = child.data.historyItem;
+      const subfolder = await chrome.bookmarks.create({ parentId: folderId, title: childItem.title || childItem.url });
+      childFolderId = subfolder.id;
+    }
+    count += await createBookmarkBranch(child, childFolderId);
+  }
+  return count;
+}
+
+/**
+ * Saves a node and its descendants into a new bookmark folder picked in the bookmark dialog.
+ */
+async function saveBranchAsBookmarks(node) {
+  let bookmarkCount = 0;
+  const countNodes = (current) => {
+    bookmarkCount++;
+    current.children.forEach(countNodes);
+  };
+  countNodes(node);
+
+  try {
+    const choice = await showBookmarkDialog(node, bookmarkCount);
+    if (!choice) return;
+    const folder = await chrome.bookmarks.create({ parentId: choice.parentId, title: choice.title });
+    const created = await createBookmarkBranch(node, folder.id);
+    showToast(msg("bookmarkedBranch", [msgCount("bookmarkCount", created), choice.title]), {
+      durationMs: COPY_TOAST_DURATION_MS,
+    });
+  } catch (error) {
+    console.error("Error saving bookmarks:", error);
+    alert(msg("bookmarkFailed", error.message));
+  }
+}
+
+// --- Context Menu ---
+
+/**
+ * Opens the row context menu at the mouse position, kept inside the window.
+ */
+function showContextMenu(event, listItem) {
+  contextMenuRow = { visitId: listItem.dataset.visitId, rowIndex: parseInt(listItem.dataset.rowIndex, 10) };
+  contextMenuDiv.style.display = "block";
+  const maxLeft = window.innerWidth - contextMenuDiv.offsetWidth - 4;
+  const maxTop = window.innerHeight - contextMenuDiv.offsetHeight - 4;
+  contextMenuDiv.style.left = `${Math.max(0, Math.min(event.clientX, maxLeft))}px`;
+  contextMenuDiv.style.top = `${Math.max(0, Math.min(event.clientY, maxTop))}px`;
+  const firstItem = contextMenuDiv.querySelector("button");
+  if (firstItem) firstItem.focus();
+}
+
+function hideContextMenu() {
+  if (!contextMenuDiv || contextMenuDiv.style.display === "none") return;
+  contextMenuDiv.style.display = "none";
+  contextMenuRow = null;
+}
+
+/**
+ * Writes text to the clipboard and confirms it with a short toast.
+ */
+async function copyToClipboard(text, confirmation) {
+  try {
+    await navigator.clipboard.writeText(text);
+    showToast(confirmation, { durationMs: COPY_TOAST_DURATION_MS });
+  } catch (error) {
+    console.error("Error copying to the clipboard:", error);
+    alert(msg("errorClipboard", error.message));
+  }
+}
+
+/**
+ * Runs a context menu command on the row the menu was opened on.
+ */
+function runContextMenuCommand(command) {
+  const row = contextMenuRow;
+  hideContextMenu();
+  const node = row && nodesByVisitId.get(row.visitId);
+  if (!node) {
+    console.error("The context menu row is no longer part of the tree.");
+    return;
+  }
+  const item = node.data.historyItem;
+
+  switch (command) {
+    case "copy-url":
+      copyToClipboard(item.url, msg("copiedUrl"));
+      break;
+    case "copy-markdown":
+      copyToClipboard(markdownLink(item), msg("copiedMarkdownLink"));
+      break;
+    case "copy-branch":
+      copyToClipboard(markdownOutlineLines([node]).join("\n"), msg("copiedBranchOutline"));
+      break;
+    case "bookmark-branch":
+      saveBranchAsBookmarks(node);
+      break;
+    case "select-subtree": {
+      const viewRow = visibleRows[row.rowIndex];
+      const nodes = viewRow && viewRow.key === row.visitId ? visitNodesOfItem(viewRow.item) : [node];
+      nodes
+        .filter((current) => !current.data.context)
+        .forEach((current) => selectedVisitIds.add(current.data.visitData.visitId));
+      syncRenderedCheckboxes();
+      break;
+    }
+    case "delete-subtree":
+      deleteNodesWithDialog([node], "branch");
+      break;
+    case "search-domain": {
+      const host = hostnameOf(item.url);
+      if (host) applySearchTerm(`site:${host}`, ["site"]);
+      break;
+    }
+    case "details":
+      showVisitDetails(node);
+      break;
+    default:
+      console.warn(`Unknown context menu command: ${command}`);
+  }
+}
+
+/**
+ * Shows the raw visit and history item fields of a node in the details dialog.
+ */
+function showVisitDetails(node) {
+  const visit = node.data.visitData;
+  const item = node.data.historyItem;
+  const fields = [
+    [msg("detailsTitle"), item.title || msg("valueNone")],
+    [msg("detailsUrl"), item.url],
+    [msg("detailsVisitId"), visit.visitId],
+    [msg("detailsReferringVisitId"), visit.referringVisitId],
+    [msg("detailsTransition"), visit.transition],
+    [msg("detailsVisitTime"), `${new Date(visit.visitTime).toLocaleString(uiLocale())} (${visit.visitTime})`],
+    [msg("detailsVisitCount"), item.visitCount ?? msg("valueUnknown")],
+    [msg("detailsTypedCount"), item.typedCount ?? msg("valueUnknown")],
+  ];
+  if (node.data.archived) fields.push([msg("detailsSource"), msg("detailsLocalArchive")]);
+
+  const list = detailsDialog.querySelector("dl");
+  list.replaceChildren(
+    ...fields.flatMap(([label, value]) => {
+      const term = document.createElement("dt");
+      term.textContent = label;
+      const description = document.createElement("dd");
+      description.textContent = String(value);
+      return [term, description];
+    })
+  );
+  detailsDialog.showModal();
+}
+
+// --- Live Updates ---
+
+/**
+ * Re-renders the stored tree while keeping checkbox selection, the Shift-click anchor and the scroll position.
+ * Selection and the anchor live in state (selectedVisitIds, lastCheckedIndex remapped by row key), so only
+ * the scroll offset has to be carried over.
+ */
+function rerenderPreservingState() {
+  const scrollTop = scrollContainer ? scrollContainer.scrollTop : 0;
+  renderTransitionFilters();
+  updateStatistics();
+  renderFilteredTree();
+  if (scrollContainer) scrollContainer.scrollTop = scrollTop;
+  renderViewport(true);
+}
+
+const scheduleLiveRender = debounce(rerenderPreservingState, LIVE_RENDER_DELAY_MS);
+
+function isLiveEnabled() {
+  return Boolean(liveUpdatesCheckbox && liveUpdatesCheckbox.checked && loadedRange);
+}
+
+/**
+ * Returns the array a node of currentFullTree is in: its parent's children or the roots.
+ */
+function siblingsOf(node) {
+  const first = allVisitsOfNode(node)[0];
+  const parentId = shownReferrerId(loadedVisits, first.visitData.referringVisitId);
+  const parent = parentId && nodesByVisitId.get(parentId);
+  return parent && parent.children.includes(node) ? parent.children : currentFullTree;
+}
+
+/**
+ * Inserts a new visit under its referrer (or as a root), applying the same transition, self, redirect and
+ * repeated-page rules as fetchAndBuildTree. Returns true if the loaded visits changed.
+ */
+function insertLiveVisit(visit, historyItem) {
+  if (loadedVisits.has(visit.visitId)) return false;
+  if (visit.visitTime < loadedRange.startTime || visit.visitTime > loadedRange.endTime) return false;
+
+  const data = { visitData: visit, historyItem: historyItem };
+  loadedVisits.set(visit.visitId, data);
+  if (isVisitHidden(data)) return true; // Only the transition counts change
+
+  let node = { id: visit.visitId, data: data, children: [] };
+  const referringVisitId = shownReferrerId(loadedVisits, visit.referringVisitId);
+  const parent = referringVisitId && referringVisitId !== "0" ? nodesByVisitId.get(referringVisitId) : null;
+  let siblings = parent ? parent.children : currentFullTree;
+
+  const followsHop = parent && !parent.mergedVisits && parent.children.length === 0 && isRedirectHop(parent.data, data);
+  if (collapseRedirects && followsHop) {
+    // The referrer was a redirect hop to this visit, which takes its place
+    const hopSiblings = siblingsOf(parent);
+    const index = hopSiblings.indexOf(parent);
+    if (index !== -1) {
+      hopSiblings.splice(index, 1);
+      siblings = hopSiblings;
+      node.redirectHops = allVisitsOfNode(parent);
+    }
+  }
+  if (filterDuplicatesCheckbox && filterDuplicatesCheckbox.checked) {
+    const page = pageKeyOf(node);
+    // Roots only merge within the idle gap, as in mergeSamePageRoots
+    const inWindow = (sibling) =>
+      siblings !== currentFullTree || visit.visitTime - timeSpanOfNode(sibling).end <= sessionGapMs();
+    const samePage = siblings.find((sibling) => pageKeyOf(sibling) === page && inWindow(sibling));
+    if (samePage) {
+      mergeNodeInto(samePage, node);
+      node = samePage;
+    }
+  }
+  if (!siblings.includes(node)) siblings.push(node);
+  allVisitsOfNode(node).forEach((value) => nodesByVisitId.set(value.visitData.visitId, node));
+
+  const rowKey = node.data.visitData.visitId; // A merged visit highlights the row it was merged into
+  liveInsertedVisitIds.add(rowKey);
+  setTimeout(() => {
+    liveInsertedVisitIds.delete(rowKey);
+    const listItem = historyTreeDiv.querySelector(`li[data-visit-id="${CSS.escape(rowKey)}"]`);
+    if (listItem) listItem.classList.remove("live-new");
+  }, LIVE_HIGHLIGHT_MS);
+  return true;
+}
+
+/**
+ * Removes a visit from the stored tree. A redirect hop or merged visit is only taken off its node;
+ * otherwise the node goes and its children move up into its place so they stay visible.
+ */
+function removeLiveVisit(data) {
+  const visitId = data.visitData.visitId;
+  const node = nodesByVisitId.get(visitId);
+  nodesByVisitId.delete(visitId);
+  selectedVisitIds.delete(visitId);
+  if (!node) return;
+  if (node.redirectHops && node.redirectHops.includes(data)) {
+    node.redirectHops = node.redirectHops.filter((hop) => hop !== data);
+    if (node.redirectHops.length === 0) delete node.redirectHops;
+  } else if (node.mergedVisits) {
+    node.mergedVisits = node.mergedVisits.filter((merged) => merged !== data);
+    node.data = node.mergedVisits[0];
+    node.id = node.data.visitData.visitId;
+    if (node.mergedVisits.length === 1) delete node.mergedVisits;
+  } else {
+    const siblings = siblingsOf(node);
+    const index = siblings.indexOf(node);
+    if (index !== -1) {
+      siblings.splice(index, 1, ...node.children);
+    }
+    allVisitsOfNode(node).forEach((hop) => nodesByVisitId.delete(hop.visitData.visitId)); // Its redirect hops go too
+  }
+}
+
+/**
+ * chrome.history.onVisited handler: looks up the new visit(s) of the URL and slots them into the tree.
+ */
+async function handleLiveVisited(historyItem) {
+  if (!isLiveEnabled()) return;
+  if (isViewerUrl(historyItem.url)) return;
+  const range = loadedRange;
+  try {
+    const visits = await chrome.history.getVisits({ url: historyItem.url });
+    if (range !== loadedRange) return; // The tree was rebuilt meanwhile and already has this visit
+    let changed = false;
+    visits
+      .filter((visit) => !loadedVisits.has(visit.visitId))
+      .sort((a, b) => a.visitTime - b.visitTime)
+      .forEach((visit) => {
+        changed = insertLiveVisit(visit, historyItem) || changed;
+      });
+    if (changed) scheduleLiveRender();
+  } catch (error) {
+    console.warn(`Live update failed for ${historyItem.url}:`, error);
+  }
+}
+
+/**
+ * chrome.history.onVisitRemoved handler: drops the nodes whose visits no longer exist.
+ */
+async function handleLiveVisitRemoved(removed) {
+  if (!isLiveEnabled()) return;
+  if (removed.allHistory) {
+    currentFullTree = [];
+    nodesByVisitId = new Map();
+    loadedVisits = new Map();
+    scheduleLiveRender();
+    return;
+  }
+  const range = loadedRange;
+  const removedUrls = new Set(removed.urls || []);
+  const affected = Array.from(loadedVisits.values()).filter(
+    (data) => removedUrls.has(data.historyItem.url) && !data.archived
+  );
+  let changed = false;
+  for (const url of removedUrls) {
+    let remaining;
+    try {
+      remaining = new Set((await chrome.history.getVisits({ url: url })).map((visit) => visit.visitId));
+    } catch (error) {
+      remaining = new Set();
+    }
+    if (range !== loadedRange) return; // The tree was rebuilt meanwhile
+    affected
+      .filter((data) => data.historyItem.url === url && !remaining.has(data.visitData.visitId))
+      .forEach((data) => {
+        removeLiveVisit(data);
+        loadedVisits.delete(data.visitData.visitId);
+        changed = true;
+      });
+  }
+  if (changed) {
+    pruneEmptyContext(currentFullTree);
+    scheduleLiveRender();
+  }
+}
+
+// --- View Models ---
+// Every view mode is turned into the same item shape: { key, node?, label?, faviconUrl?, count, children },
+// where node is a visit node of currentFullTree and label/faviconUrl describe a group header.
+
+/**
+ * Referrer tree: one item per visit node, children oldest first.
+ */
+function buildTreeViewItems(nodes) {
+  const toItem = (node) => {
+    // Sort children by time (oldest first within parent)
+    const children = node.children
+      .sort((a, b) => a.data.visitData.visitTime - b.data.visitData.visitTime)
+      .map(toItem);
+    const count = children.reduce((sum, child) => sum + 1 + child.count, 0);
+    return { key: node.data.visitData.visitId, node: node, count: count, children: children };
+  };
+  return nodes.map(toItem);
+}
+
+/**
+ * Returns the visits of a (possibly search-filtered) tree as a flat list, most recent first.
+ * Context ancestors from before the range and, with an active search, non-matching ancestors are left out.
+ */
+function flattenMatchingNodes(nodes) {
+  const flat = [];
+  const walk = (node) => {
+    if (node.searchMatch !== false && !node.data.context) flat.push(node);
+    node.children.forEach(walk);
+  };
+  nodes.forEach(walk);
+  return flat.sort((a, b) => b.data.visitData.visitTime - a.data.visitData.visitTime);
+}
+
+/**
+ * Timeline: every visit as a flat, reverse-chronological list. The visits of a merged node are listed
+ * at their own times, each as a single-visit node.
+ */
+function buildTimelineViewItems(nodes) {
+  const visitNodes = flattenMatchingNodes(nodes).flatMap((node) => {
+    if (!node.mergedVisits) return [node];
+    return node.mergedVisits.map((data) => ({
+      id: data.visitData.visitId,
+      data: data,
+      children: [],
+      searchMatch: node.searchMatch,
+    }));
+  });
+  return visitNodes
+    .sort((a, b) => b.data.visitData.visitTime - a.data.visitData.visitTime)
+    .map((node) => ({ key: node.data.visitData.visitId, node: node, count: 0, children: [] }));
+}
+
+/**
+ * Domain → path → visit grouping. Domains and paths are ordered by visit count,
+ * visits inside a path by time (most recent first).
+ */
+function buildDomainViewItems(nodes) {
+  const domains = new Map();
+  flattenMatchingNodes(nodes).forEach((node) => {
+    const url = node.data.historyItem.url || "";
+    let domain = hostnameOf(url);
+    let path = url;
+    try {
+      const parsed = new URL(url);
+      domain = domain || parsed.protocol;
+      path = parsed.pathname + parsed.search;
+    } catch (e) {
+      domain = domain || msg("otherDomain");
+    }
+    if (!domains.has(domain)) domains.set(domain, new Map());
+    const paths = domains.get(domain);
+    if (!paths.has(path)) paths.set(path, []);
+    paths.get(path).push(node);
+  });
+
+  const bySize = (a, b) => b.count - a.count;
+  return Array.from(domains.entries())
+    .map(([domain, paths]) => {
+      const pathItems = Array.from(paths.entries())
+        .map(([path, visits]) => ({
+          key: `path:${domain}${path}`,
+          label: path,
+          count: visits.reduce((sum, node) => sum + visitsOfNode(node).length, 0),
+          children: visits.map((node) => ({ key: node.data.visitData.visitId, node: node, count: 0, children: [] })),
+        }))
+        .sort(bySize);
+      return {
+        key: `domain:${domain}`,
+        label: domain,
+        faviconUrl: pathItems[0].children[0].node.data.historyItem.url,
+        count: pathItems.reduce((sum, item) => sum + item.count, 0),
+        children: pathItems,
+      };
+    })
+    .sort(bySize);
+}
+
+// --- Sessions ---
+
+/**
+ * Returns the idle gap from the session gap input, in milliseconds.
+ */
+function sessionGapMs() {
+  const minutes = sessionGapInput ? parseFloat(sessionGapInput.value) : NaN;
+  return (isNaN(minutes) || minutes <= 0 ? DEFAULT_SESSION_GAP_MINUTES : minutes) * 60 * 1000;
+}
+
+/**
+ * Returns every visit node of a view item and its descendants, except context ancestors from before the range,
+ * so selecting, deleting or exporting a group or subtree stays within the range.
+ */
+function visitNodesOfItem(item) {
+  const nodes = [];
+  const walk = (current) => {
+    if (current.node && !current.node.data.context) nodes.push(current.node);
+    current.children.forEach(walk);
+  };
+  walk(item);
+  return nodes;
+}
+
+function formatDuration(ms) {
+  const minutes = Math.round(ms / 60000);
+  if (minutes < 1) return msg("durationUnderMinute");
+  if (minutes < 60) return msg("durationMinutes", minutes);
+  return msg("durationHoursMinutes", [Math.floor(minutes / 60), minutes % 60]);
+}
+
+/**
+ * Groups top-level view items (most recent first, as built for the tree and timeline views) into sessions.
+ * A session ends once nothing was visited for gapMs; a whole referrer tree always stays in the session
+ * its root started in. Sessions are returned most recent first as group items with a session summary.
+ */
+function groupItemsIntoSessions(items, gapMs) {
+  const sessions = [];
+  let current = null;
+  // Walk oldest first so each item either extends the open session or starts a new one
+  items
+    .map((item) => {
+      // Sessions span the visits of the range, merged ones included
+      const entry = { item: item, start: Infinity, end: -Infinity };
+      visitNodesOfItem(item).forEach((node) => {
+        visitsOfNode(node).forEach((data) => {
+          entry.start = Math.min(entry.start, data.visitData.visitTime);
+          entry.end = Math.max(entry.end, data.visitData.visitTime);
+        });
+      });
+      return entry;
+    })
+    .sort((a, b) => a.start - b.start)
+    .forEach((entry) => {
+      if (!current || entry.start - current.end > gapMs) {
+        current = { start: entry.start, end: entry.end, items: [] };
+        sessions.push(current);
+      }
+      current.end = Math.max(current.end, entry.end);
+      current.items.push(entry.item);
+    });
+
+  return sessions.reverse().map((session) => {
+    const children = session.items.reverse();
+    const domainCounts = new Map();
+    let count = 0;
+    children.forEach((item) => {
+      visitNodesOfItem(item).forEach((node) => {
+        const visits = visitsOfNode(node).length;
+        const domain = hostnameOf(node.data.historyItem.url) || msg("otherDomain");
+        domainCounts.set(domain, (domainCounts.get(domain) || 0) + visits);
+        count += visits;
+      });
+    });
+    const topDomains = Array.from(domainCounts.entries())
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, SESSION_TOP_DOMAINS)
+      .map(([domain]) => domain);
+    return {
+      key: `session:${session.start}`,
+      label: formatSessionLabel(session.start, session.end, count, topDomains),
+      session: true,
+      count: count,
+      children: children,
+    };
+  });
+}
+
+/**
+ * Builds the session header text: start–end time, duration, visit count and top domains.
+ */
+function formatSessionLabel(start, end, count, topDomains) {
+  const startDate = new Date(start);
+  const endDate = new Date(end);
+  const time = (date) => date.toLocaleTimeString(uiLocale(), { hour: "2-digit", minute: "2-digit" });
+  const day = (date) => date.toLocaleDateString(uiLocale());
+  const endLabel =
+    endDate.toDateString() === startDate.toDateString() ? time(endDate) : `${day(endDate)} ${time(endDate)}`;
+  return (
+    `${day(startDate)} ${time(startDate)} – ${endLabel} · ${formatDuration(end - start)} · ` +
+    `${msgCount("visitCount", count)} · ${topDomains.join(", ")}`
+  );
+}
+
+/**
+ * Resolves the selected visits to their tree nodes. The timeline lists every visit of a merged node
+ * as its own row, so there a selected visit stands only for itself, not for the whole merged node.
+ */
+function resolveSelectedNodes() {
+  return Array.from(selectedVisitIds)
+    .map((visitId) => {
+      const node = nodesByVisitId.get(visitId);
+      if (!node || !node.mergedVisits || currentViewMode !== "timeline") return node;
+      const data = node.mergedVisits.find((merged) => merged.visitData.visitId === visitId);
+      return data ? { id: visitId, data: data, children: [] } : node;
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Drops selected visits that are no longer part of the current view (e.g. after the search changed),
+ * so deletion only ever applies to visits the user can see.
+ */
+function pruneSelectionToView() {
+  const inView = new Set();
+  const walk = (item) => {
+    if (item.node) inView.add(item.node.data.visitData.visitId);
+    item.children.forEach(walk);
+  };
+  currentViewItems.forEach(walk);
+  Array.from(selectedVisitIds).forEach((visitId) => {
+    if (!inView.has(visitId)) selectedVisitIds.delete(visitId);
+  });
+}
+
+// --- Graph View ---
+
+/**
+ * Draws the (filtered) trees as a node-link diagram (graph.js). Clicking a node shows it in the referrer tree.
+ */
+function renderGraphView(nodes) {
+  if (!graphView) graphView = createGraphView();
+  const notice = document.createElement("div");
+  notice.className = "graph-notice";
+  historyTreeDiv.appendChild(notice);
+
+  const layout = renderHistoryGraph(historyTreeDiv, nodes, {
+    label: msg("graphAriaLabel"),
+    view: graphView,
+    faviconUrl: faviconUrlOf,
+    nodeTooltip: graphNodeTooltip,
+    onNodeClick: (visitId) => revealVisit(visitId),
+  });
+  notice.textContent =
+    layout.positions.length < layout.total
+      ? msg("graphTruncated", [layout.positions.length, layout.total])
+      : msg("graphHint");
+  console.log(`Rendered graph view, ${layout.positions.length} of ${layout.total} nodes.`);
+}
+
+/**
+ * Title, URL and time of a graph node, one per line, plus its merged visit count and context note.
+ */
+function graphNodeTooltip(node) {
+  const item = node.data.historyItem;
+  const time = new Date(node.data.visitData.visitTime).toLocaleString(uiLocale());
+  const lines = [item.title || item.url, item.url, time];
+  if (node.mergedVisits && node.mergedVisits.length > 1) lines.push(msgCount("visitCount", node.mergedVisits.length));
+  if (node.data.context) lines.push(msg("contextRowTitle"));
+  return lines.join("\n");
+}
+
+// --- Virtualized Rendering ---
+// Only the rows inside the viewport (plus ROW_BUFFER on each side) exist in the DOM. A spacer sized to
+// the full row count keeps the scrollbar accurate and the row list is translated to the first rendered row.
+
+/**
+ * Flattens currentViewItems into visibleRows, skipping the children of collapsed items and listing the visits
+ * of expanded merged nodes (expandedMergeKeys) right below them, then re-renders the viewport.
+ * The Shift-click anchor follows its row by key.
+ */
+function refreshVisibleRows() {
+  const keyAt = (index) => (index !== -1 && visibleRows[index] ? visibleRows[index].key : null);
+  const anchorKey = keyAt(lastCheckedIndex);
+  const focusedKey = keyAt(focusedRowIndex);
+
+  const rows = [];
+  // position and setSize describe the item among its siblings, for aria-posinset/aria-setsize
+  const walk = (item, depth, position, setSize) => {
+    const hasChildren = item.children.length > 0;
+    const collapsed = hasChildren && collapsedKeys.has(item.key);
+    rows.push({ key: item.key, item, depth, position, setSize, hasChildren, collapsed });
+    if (item.node && item.node.mergedVisits && expandedMergeKeys.has(item.key)) {
+      const merged = item.node.mergedVisits;
+      merged.forEach((data, i) => {
+        const visitItem = { key: `${item.key}@${data.visitData.visitId}`, mergedVisit: data, children: [] };
+        rows.push({ key: visitItem.key, item: visitItem, depth: depth + 1, position: i + 1, setSize: merged.length });
+      });
+    }
+    if (hasChildren && !collapsed) {
+      item.children.forEach((child, i) => walk(child, depth + 1, i + 1, item.children.length));
+    }
+  };
+  currentViewItems.forEach((item, i) => walk(item, 0, i + 1, currentViewItems.length));
+  visibleRows = rows;
+  lastCheckedIndex = anchorKey ? visibleRows.findIndex((row) => row.key === anchorKey) : -1;
+  focusedRowIndex = focusedKey ? visibleRows.findIndex((row) => row.key === focusedKey) : -1;
+
+  const spacer = historyTreeDiv.querySelector(".virtual-spacer");
+  if (spacer) spacer.style.height = `${visibleRows.length * ROW_HEIGHT}px`;
+  renderViewport(true);
+}
+
+/**
+ * Renders the rows that intersect the scroll container's viewport.
+ * Without force, nothing happens if the same range is already rendered.
+ */
+function renderViewport(force = false) {
+  const rowsList = historyTreeDiv.querySelector(".virtual-rows");
+  if (!rowsList || !scrollContainer) return;
+
+  const treeTop = historyTreeDiv.getBoundingClientRect().top - scrollContainer.getBoundingClientRect().top;
+  const first = Math.max(0, Math.floor(-treeTop / ROW_HEIGHT) - ROW_BUFFER);
+  const last = Math.min(visibleRows.length, Math.ceil((scrollContainer.clientHeight - treeTop) / ROW_HEIGHT) + ROW_BUFFER);
+  if (!force && first === renderedRange.first && last === renderedRange.last) return;
+
+  const hadFocus = rowsList.contains(document.activeElement);
+  const fragment = document.createDocumentFragment();
+  for (let i = first; i < last; i++) {
+    fragment.appendChild(createRowElement(visibleRows[i], i));
+  }
+  rowsList.replaceChildren(fragment);
+  rowsList.style.transform = `translateY(${first * ROW_HEIGHT}px)`;
+  renderedRange = { first, last };
+
+  // Keep the tree reachable with Tab even when the focused row is scrolled out of the DOM
+  if (!rowsList.querySelector('li[tabindex="0"]') && rowsList.firstElementChild) {
+    rowsList.firstElementChild.tabIndex = 0;
+  }
+  // The focused <li> was just replaced, so move the focus to its replacement
+  if (hadFocus) {
+    const focusedItem = rowsList.querySelector(`li[data-row-index="${focusedRowIndex}"]`);
+    if (focusedItem) focusedItem.focus({ preventScroll: true });
+  }
+  // Stars show up once the bookmarks are loaded
+  loadBookmarkedUrls();
+}
+
+/**
+ * Scrolls the referrer tree to a visit and highlights it, switching to the tree view, clearing a search
+ * that hides it and expanding its collapsed ancestors as needed. Returns false if the visit is not loaded.
+ */
+function revealVisit(visitId) {
+  const findPath = (items, path) => {
+    for (const item of items) {
+      if (item.key === visitId) return path;
+      const found = findPath(item.children, path.concat(item.key));
+      if (found) return found;
+    }
+    return null;
+  };
+
+  if (currentViewMode !== "tree") {
+    currentViewMode = "tree";
+    if (viewModeSelect) viewModeSelect.value = "tree";
+    renderFilteredTree();
+  }
+  let path = findPath(currentViewItems, []);
+  if (!path && searchInput && searchInput.value.trim()) {
+    searchInput.value = "";
+    renderFilteredTree();
+    path = findPath(currentViewItems, []);
+  }
+  if (!path) {
+    console.warn(`Visit ${visitId} is not part of the loaded tree.`);
+    return false;
+  }
+  path.forEach((key) => collapsedKeys.delete(key));
+
+  revealedVisitId = visitId;
+  setTimeout(() => {
+    if (revealedVisitId !== visitId) return;
+    revealedVisitId = null;
+    historyTreeDiv.querySelectorAll("li.revealed").forEach((listItem) => listItem.classList.remove("revealed"));
+  }, REVEAL_HIGHLIGHT_MS);
+
+  refreshVisibleRows();
+  const index = visibleRows.findIndex((row) => row.key === visitId);
+  if (scrollContainer) {
+    scrollContainer.scrollTop = historyTreeDiv.offsetTop + index * ROW_HEIGHT - scrollContainer.clientHeight / 2;
+  }
+  renderViewport(true);
+  return true;
+}
+
+/**
+ * Creates the <li> for one visible row: a visit (createNodeElement), one visit of a merged node or a group header,
+ * with a disclosure toggle and descendant count if it has children.
+ */
+function createRowElement(row, index) {
+  let listItem;
+  if (row.item.node) {
+    listItem = createNodeElement(row.item.node);
+  } else if (row.item.mergedVisit) {
+    listItem = createMergedVisitElement(row.item.mergedVisit);
+  } else {
+    listItem = createGroupElement(row.item);
+  }
+  listItem.classList.add("tree-row");
+  listItem.dataset.rowIndex = index;
+  listItem.dataset.depth = row.depth;
+  listItem.style.setProperty("--depth", row.depth);
+
+  // ARIA tree semantics; the rows are flat in the DOM, so the structure comes from level and position
+  listItem.setAttribute("role", "treeitem");
+  listItem.setAttribute("aria-level", row.depth + 1);
+  listItem.setAttribute("aria-posinset", row.position);
+  listItem.setAttribute("aria-setsize", row.setSize);
+  if (row.item.node) {
+    listItem.setAttribute("aria-selected", selectedVisitIds.has(row.key));
+  }
+  listItem.tabIndex = index === focusedRowIndex ? 0 : -1;
+  // Only the row itself is a tab stop; its controls are reached with the keyboard commands
+  listItem.querySelectorAll("input, a, button").forEach((control) => {
+    control.tabIndex = -1;
+  });
+  if (row.item.node && row.item.node.searchMatch) {
+    listItem.classList.add("search-match");
+  }
 
-    // Trigger Rendering based on current search filter
-    renderFilteredTree();
-  } catch (error) {
-    console.error("Error fetching or building history tree:", error);
-    historyTreeDiv.textContent = `An error occurred: ${error.message}`;
-    currentFullTree = []; // Clear stored tree on error
-    if (loadingDiv) loadingDiv.style.display = "none"; // Hide loading on error
+  if (row.hasChildren) {
+    listItem.classList.add("has-children");
+    listItem.classList.toggle("collapsed", row.collapsed);
+    listItem.setAttribute("aria-expanded", !row.collapsed);
+    listItem.insertBefore(createToggleElement(), listItem.firstChild);
+
+    const childCount = document.createElement("span");
+    childCount.className = "child-count";
+    childCount.textContent = `(${row.item.count})`;
+    childCount.title = row.item.node
+      ? msg("childCountTitle", [row.item.children.length, row.item.count])
+      : msgCount("visitCount", row.item.count);
+    listItem.appendChild(childCount);
+  } else {
+    const spacer = document.createElement("span");
+    spacer.className = "tree-toggle-spacer";
+    listItem.insertBefore(spacer, listItem.firstChild);
   }
+  return listItem;
 }
 
-// --- Tree Rendering Functions ---
+/**
+ * Creates the <li> content of a domain or path group header.
+ */
+function createGroupElement(item) {
+  const listItem = document.createElement("li");
+  listItem.className = item.session ? "group-header session-header" : "group-header";
+  listItem.dataset.groupKey = item.key;
+
+  // Selects or clears every visit of the group at once
+  const checkbox = document.createElement("input");
+  checkbox.type = "checkbox";
+  checkbox.className = "group-checkbox";
+  checkbox.title = msg("selectGroupTitle");
+  listItem.appendChild(checkbox);
+  syncGroupCheckbox(checkbox, item);
+
+  if (item.faviconUrl) {
+    listItem.appendChild(createFaviconElement(item.faviconUrl));
+  }
+
+  const labelSpan = document.createElement("span");
+  labelSpan.className = "group-label";
+  labelSpan.textContent = item.label;
+  labelSpan.title = item.label;
+  listItem.appendChild(labelSpan);
+  return listItem;
+}
 
 /**
- * Creates the top-level UL element for the history tree.
+ * Re-applies selectedVisitIds to the checkboxes of the rows currently in the DOM.
  */
-function createTreeHtml(nodes) {
-  const list = document.createElement("ul");
-  list.className = "history-tree-list";
-  // Nodes should be pre-sorted if needed before calling this
-  nodes.forEach((node) => {
-    list.appendChild(renderNode(node));
+function syncRenderedCheckboxes() {
+  historyTreeDiv.querySelectorAll(".history-item-checkbox").forEach((checkbox) => {
+    checkbox.checked = selectedVisitIds.has(checkbox.dataset.visitId);
+    checkbox.closest("li").setAttribute("aria-selected", checkbox.checked);
+  });
+  historyTreeDiv.querySelectorAll(".group-checkbox").forEach((checkbox) => {
+    const row = visibleRows[parseInt(checkbox.closest("li").dataset.rowIndex, 10)];
+    if (row) syncGroupCheckbox(checkbox, row.item);
   });
-  return list;
 }
 
 /**
- * Recursively renders a single node and its children.
+ * Checks a group checkbox if all of the group's visits are selected, and marks it indeterminate if some are.
  */
-function renderNode(node) {
-  const listItem = createNodeElement(node.data);
-  if (node.children && node.children.length > 0) {
-    const childrenList = document.createElement("ul");
-    childrenList.className = "history-tree-children";
-    // Sort children by time (oldest first within parent) before rendering
-    node.children
-      .sort((a, b) => a.data.visitData.visitTime - b.data.visitData.visitTime)
-      .forEach((childNode) => {
-        childrenList.appendChild(renderNode(childNode));
-      });
-    listItem.appendChild(childrenList);
+function syncGroupCheckbox(checkbox, item) {
+  const visitIds = visitNodesOfItem(item).map((node) => node.data.visitData.visitId);
+  const selectedCount = visitIds.filter((visitId) => selectedVisitIds.has(visitId)).length;
+  checkbox.checked = selectedCount > 0 && selectedCount === visitIds.length;
+  checkbox.indeterminate = selectedCount > 0 && selectedCount < visitIds.length;
+}
+
+/**
+ * Returns the URL of a page's favicon, served by Chrome's _favicon endpoint.
+ */
+function faviconUrlOf(pageUrl) {
+  return `chrome-extension://${chrome.runtime.id}/_favicon/?pageUrl=${encodeURIComponent(pageUrl)}`;
+}
+
+/**
+ * Creates the favicon <img> for a page URL.
+ */
+function createFaviconElement(pageUrl) {
+  const favicon = document.createElement("img");
+  favicon.className = "favicon";
+  favicon.loading = "lazy"; // Rows are recycled while scrolling; only fetch icons that are actually shown
+  favicon.decoding = "async";
+  try {
+    favicon.src = faviconUrlOf(pageUrl);
+  } catch (e) {
+    console.warn("Error creating favicon URL for:", pageUrl, e);
   }
-  return listItem;
+  favicon.alt = "";
+  favicon.onerror = () => {
+    favicon.style.display = "none";
+  };
+  return favicon;
 }
 
 /**
  * Creates a single list item (<li>) element for a history entry.
  */
-function createNodeElement(nodeData) {
+function createNodeElement(node) {
+  const nodeData = node.data;
   const item = nodeData.historyItem;
   const visit = nodeData.visitData;
   const listItem = document.createElement("li");
+  listItem.dataset.visitId = visit.visitId;
+  if (liveInsertedVisitIds.has(visit.visitId)) {
+    listItem.classList.add("live-new");
+  }
+  if (revealedVisitId === visit.visitId) {
+    listItem.classList.add("revealed");
+  }
+  if (nodeData.archived) {
+    listItem.classList.add("archived");
+    listItem.title = msg("archivedRowTitle");
+  }
+  if (nodeData.context) {
+    listItem.classList.add("context-ancestor");
+    listItem.title = msg("contextRowTitle");
+  }
 
   // Checkbox
   const checkbox = document.createElement("input");
@@ -320,35 +2809,31 @@ function createNodeElement(nodeData) {
   checkbox.className = "history-item-checkbox";
   checkbox.dataset.url = item.url;
   checkbox.dataset.visitId = visit.visitId;
+  checkbox.checked = selectedVisitIds.has(visit.visitId);
   listItem.appendChild(checkbox);
 
   // Favicon
-  const favicon = document.createElement("img");
-  favicon.className = "favicon";
-  try {
-    favicon.src = `chrome-extension://${chrome.runtime.id}/_favicon/?pageUrl=${encodeURIComponent(item.url)}`;
-  } catch (e) {
-    console.warn("Error creating favicon URL for:", item.url, e);
-  }
-  favicon.alt = "";
-  favicon.onerror = () => {
-    favicon.style.display = "none";
-  };
-  listItem.appendChild(favicon);
+  listItem.appendChild(createFaviconElement(item.url));
 
   // Timestamp
   const timeSpan = document.createElement("span");
   timeSpan.className = "timestamp";
-  timeSpan.textContent = new Date(visit.visitTime).toLocaleString("zh-CN", {
-    year: "numeric",
-    month: "2-digit",
-    day: "2-digit",
-    hour: "2-digit",
-    minute: "2-digit",
-    second: "2-digit",
-  });
+  timeSpan.textContent = formatTimestamp(visit.visitTime, timestampFormat);
+  timeSpan.title = new Date(visit.visitTime).toLocaleString(uiLocale());
   listItem.appendChild(timeSpan);
 
+  // Transition Type
+  listItem.appendChild(createTransitionBadge(visit.transition));
+
+  // Referrer missing from history
+  if (node.orphan) {
+    const orphanBadge = document.createElement("span");
+    orphanBadge.className = "orphan-badge";
+    orphanBadge.textContent = "⊘";
+    orphanBadge.title = msg("orphanTitle");
+    listItem.appendChild(orphanBadge);
+  }
+
   // Link
   const link = document.createElement("a");
   link.href = item.url;
@@ -357,65 +2842,372 @@ function createNodeElement(nodeData) {
   link.target = "_blank";
   listItem.appendChild(link);
 
-  // Transition Type
-  // const transitionSpan = document.createElement("span");
-  // transitionSpan.className = "transition";
-  // transitionSpan.textContent = ` (${visit.transition})`;
-  // listItem.appendChild(transitionSpan);
+  if (isBookmarked(item.url)) {
+    const star = document.createElement("span");
+    star.className = "bookmark-star";
+    star.textContent = "★";
+    star.title = msg("bookmarkedTitle");
+    listItem.appendChild(star);
+  }
+
+  // Repeated visits of the page, listed below the row on click
+  if (node.mergedVisits) {
+    const mergeBadge = document.createElement("button");
+    mergeBadge.type = "button";
+    mergeBadge.className = "merge-badge";
+    mergeBadge.textContent = `×${node.mergedVisits.length}`;
+    mergeBadge.title = msg("mergedVisitsTitle", node.mergedVisits.length);
+    mergeBadge.setAttribute("aria-expanded", expandedMergeKeys.has(visit.visitId));
+    listItem.appendChild(mergeBadge);
+  }
+
+  // Redirects that led here
+  if (node.redirectHops) {
+    const redirectBadge = document.createElement("span");
+    redirectBadge.className = "redirect-badge";
+    redirectBadge.textContent = "↪";
+    redirectBadge.title = msg("redirectHopsTitle", node.redirectHops.map((hop) => hop.historyItem.url).join("\n"));
+    listItem.appendChild(redirectBadge);
+  }
 
+  // Branch actions, shown on hover
+  const actions = document.createElement("span");
+  actions.className = "node-actions";
+  [
+    { action: "window", label: "⧉", title: msg("openBranchWindow") },
+    { action: "group", label: "❐", title: msg("openBranchTabGroup") },
+    { action: "bookmark", label: "☆", title: msg("saveBranchBookmarks") },
+  ].forEach(({ action, label, title }) => {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "node-action";
+    button.dataset.action = action;
+    button.textContent = label;
+    button.title = title;
+    actions.appendChild(button);
+  });
+  listItem.appendChild(actions);
+
+  return listItem;
+}
+
+/**
+ * Creates the <li> content of one visit of a merged node: its time and transition type.
+ */
+function createMergedVisitElement(data) {
+  const listItem = document.createElement("li");
+  listItem.className = "merged-visit";
+  if (data.archived) {
+    listItem.classList.add("archived");
+    listItem.title = msg("archivedRowTitle");
+  }
+
+  const timeSpan = document.createElement("span");
+  timeSpan.className = "timestamp";
+  timeSpan.textContent = formatTimestamp(data.visitData.visitTime, timestampFormat);
+  timeSpan.title = new Date(data.visitData.visitTime).toLocaleString(uiLocale());
+  listItem.appendChild(timeSpan);
+  listItem.appendChild(createTransitionBadge(data.visitData.transition));
   return listItem;
 }
 
+// --- Collapse / Expand ---
+
+/**
+ * Creates the disclosure toggle button placed at the start of a node that has children.
+ */
+function createToggleElement() {
+  const toggle = document.createElement("button");
+  toggle.type = "button";
+  toggle.className = "tree-toggle";
+  toggle.title = msg("toggleTitle");
+  toggle.tabIndex = -1; // Left/Right arrows expand and collapse the focused row
+  return toggle;
+}
+
+/**
+ * Returns the key a rendered node or group is remembered under in collapsedKeys.
+ */
+function collapseKeyOf(listItem) {
+  return listItem.dataset.groupKey || listItem.dataset.visitId;
+}
+
+/**
+ * Toggles the collapsed state of a single rendered node or group and remembers it.
+ */
+function toggleNodeCollapsed(listItem) {
+  const key = collapseKeyOf(listItem);
+  if (collapsedKeys.has(key)) {
+    collapsedKeys.delete(key);
+  } else {
+    collapsedKeys.add(key);
+  }
+  refreshVisibleRows();
+}
+
+/**
+ * Lists or hides the individual visits of a merged node below its row.
+ */
+function toggleMergedVisits(listItem) {
+  const key = listItem.dataset.visitId;
+  if (expandedMergeKeys.has(key)) {
+    expandedMergeKeys.delete(key);
+  } else {
+    expandedMergeKeys.add(key);
+  }
+  refreshVisibleRows();
+}
+
+/**
+ * Rebuilds collapsedKeys so that every node at or below maxDepth is collapsed.
+ * Roots have depth 0; pass Infinity to expand everything and 0 to collapse everything.
+ * In the tree view this walks the full tree (so nodes hidden by search are included);
+ * in the domain view it applies to the current groups.
+ */
+function setCollapsedToDepth(maxDepth) {
+  collapsedKeys.clear();
+  if (currentViewMode === "domain") {
+    const walk = (items, depth) => {
+      items.forEach((item) => {
+        if (item.children.length === 0) return;
+        if (depth >= maxDepth) collapsedKeys.add(item.key);
+        walk(item.children, depth + 1);
+      });
+    };
+    walk(currentViewItems, 0);
+  } else {
+    const walk = (nodes, depth) => {
+      nodes.forEach((node) => {
+        if (!node.children || node.children.length === 0) return;
+        if (depth >= maxDepth) {
+          collapsedKeys.add(node.data.visitData.visitId);
+        }
+        walk(node.children, depth + 1);
+      });
+    };
+    // Session headers sit above the roots, so they are level 0 and the tree starts one level deeper
+    const sessionItems = currentViewItems.filter((item) => item.session);
+    sessionItems.forEach((item) => {
+      if (maxDepth <= 0) collapsedKeys.add(item.key);
+    });
+    walk(currentFullTree, sessionItems.length > 0 ? 1 : 0);
+  }
+  refreshVisibleRows();
+}
+
 /**
  * Handles clicks on history item checkboxes, including Shift-click range selection.
+ * The row index comes from the rendered <li>, so ranges can span rows that are not in the DOM.
  */
 function handleCheckboxClick(event, clickedCheckbox) {
-  // visibleCheckboxes should be up-to-date thanks to renderTree
-  const currentIndex = visibleCheckboxes.indexOf(clickedCheckbox);
-
-  if (currentIndex === -1) {
-    console.warn("Clicked checkbox not found in visible list cache. Re-querying...");
-    // Attempt to recover by re-querying, though this indicates a potential state issue
-    visibleCheckboxes = Array.from(historyTreeDiv.querySelectorAll(".history-item-checkbox"));
-    const newIndex = visibleCheckboxes.indexOf(clickedCheckbox);
-    if (newIndex === -1) {
-      console.error("Checkbox definitely not found in DOM.");
-      return;
-    }
-    // If found after re-query, proceed but log the inconsistency
-    console.warn("Checkbox found after re-query. Proceeding, but check render logic.");
-    // Don't update lastCheckedIndex here, let the logic below handle it based on shift state
-    // We use newIndex for the rest of this function call
-    handleShiftClickLogic(event, clickedCheckbox, newIndex); // Pass index explicitly
+  const listItem = clickedCheckbox.closest("li.tree-row");
+  const currentIndex = listItem ? parseInt(listItem.dataset.rowIndex, 10) : -1;
+
+  if (currentIndex === -1 || !visibleRows[currentIndex]) {
+    console.error("Clicked checkbox does not belong to a visible row.");
+    return;
+  }
+  if (clickedCheckbox.checked) {
+    selectedVisitIds.add(clickedCheckbox.dataset.visitId);
   } else {
-    handleShiftClickLogic(event, clickedCheckbox, currentIndex); // Use found index
+    selectedVisitIds.delete(clickedCheckbox.dataset.visitId);
+  }
+  handleShiftClickLogic(event, clickedCheckbox, currentIndex);
+}
+
+/**
+ * Handles clicks on group header checkboxes: selects or clears every visit inside the group.
+ */
+function handleGroupCheckboxClick(clickedCheckbox) {
+  const listItem = clickedCheckbox.closest("li.tree-row");
+  const row = listItem ? visibleRows[parseInt(listItem.dataset.rowIndex, 10)] : null;
+  if (!row) {
+    console.error("Clicked group checkbox does not belong to a visible row.");
+    return;
+  }
+  visitNodesOfItem(row.item).forEach((node) => {
+    if (clickedCheckbox.checked) {
+      selectedVisitIds.add(node.data.visitData.visitId);
+    } else {
+      selectedVisitIds.delete(node.data.visitData.visitId);
+    }
+  });
+  syncRenderedCheckboxes();
+}
+
+/**
+ * Selects (or clears) the visits of visibleRows[start..end], inclusive.
+ */
+function setRowRangeSelected(start, end, state) {
+  for (let i = start; i <= end; i++) {
+    const row = visibleRows[i];
+    if (!row || !row.item.node) continue; // Group headers have no checkbox
+    const visitId = row.item.node.data.visitData.visitId;
+    if (state) {
+      selectedVisitIds.add(visitId);
+    } else {
+      selectedVisitIds.delete(visitId);
+    }
   }
 }
 
 /** Separated logic for handling shift/normal click after index is known */
 function handleShiftClickLogic(event, clickedCheckbox, currentIndex) {
-  if (event.shiftKey && lastCheckedIndex !== -1 && lastCheckedIndex < visibleCheckboxes.length) {
+  if (event.shiftKey && lastCheckedIndex !== -1 && lastCheckedIndex < visibleRows.length) {
     // Shift-click range selection
     const start = Math.min(lastCheckedIndex, currentIndex);
     const end = Math.max(lastCheckedIndex, currentIndex);
     const targetState = clickedCheckbox.checked; // State *after* the click determines range state
 
     console.log(`Shift-click: Setting range [${start}, ${end}] to state ${targetState}`);
-
-    for (let i = start; i <= end; i++) {
-      // Check array bounds and element existence
-      if (visibleCheckboxes[i]) {
-        visibleCheckboxes[i].checked = targetState;
-      } else {
-        console.warn(`Attempted to access checkbox at invalid index ${i} during shift-select.`);
-      }
-    }
+    setRowRangeSelected(start, end, targetState);
     // Anchor (lastCheckedIndex) doesn't change on shift-click
   } else {
     // Normal click or shift-click without valid anchor
     console.log(`Normal click at index ${currentIndex}. Setting lastCheckedIndex.`);
     lastCheckedIndex = currentIndex;
   }
+  syncRenderedCheckboxes(); // Also updates the group checkboxes above the clicked row
+}
+
+// --- Keyboard Navigation ---
+
+/**
+ * Moves the roving focus to visibleRows[index], scrolling it into view first.
+ */
+function focusRow(index) {
+  if (visibleRows.length === 0) return;
+  focusedRowIndex = Math.max(0, Math.min(index, visibleRows.length - 1));
+  if (scrollContainer) {
+    const rowTop = historyTreeDiv.offsetTop + focusedRowIndex * ROW_HEIGHT;
+    if (rowTop < scrollContainer.scrollTop) {
+      scrollContainer.scrollTop = rowTop;
+    } else if (rowTop + ROW_HEIGHT > scrollContainer.scrollTop + scrollContainer.clientHeight) {
+      scrollContainer.scrollTop = rowTop + ROW_HEIGHT - scrollContainer.clientHeight;
+    }
+  }
+  renderViewport(true);
+  const listItem = historyTreeDiv.querySelector(`li[data-row-index="${focusedRowIndex}"]`);
+  if (listItem) listItem.focus({ preventScroll: true });
+}
+
+/**
+ * Returns the index of the row's parent row, or -1 for a top-level row.
+ */
+function parentRowIndex(index) {
+  const depth = visibleRows[index].depth;
+  for (let i = index - 1; i >= 0; i--) {
+    if (visibleRows[i].depth < depth) return i;
+  }
+  return -1;
+}
+
+/**
+ * Toggles the selection of a row like a click on its checkbox; with extend, selects the range from the anchor.
+ */
+function toggleRowSelection(index, extend) {
+  const row = visibleRows[index];
+  if (!row.item.node) {
+    // Group header: select or clear the whole group
+    const nodes = visitNodesOfItem(row.item);
+    const allSelected = nodes.every((node) => selectedVisitIds.has(node.data.visitData.visitId));
+    nodes.forEach((node) => {
+      if (allSelected) {
+        selectedVisitIds.delete(node.data.visitData.visitId);
+      } else {
+        selectedVisitIds.add(node.data.visitData.visitId);
+      }
+    });
+  } else if (extend && lastCheckedIndex !== -1) {
+    setRowRangeSelected(Math.min(lastCheckedIndex, index), Math.max(lastCheckedIndex, index), true);
+  } else {
+    setRowRangeSelected(index, index, !selectedVisitIds.has(row.key));
+    lastCheckedIndex = index;
+  }
+  syncRenderedCheckboxes();
+}
+
+/**
+ * Keyboard commands of a focused tree row:
+ * Up/Down/Home/End move, Shift+Up/Down extend the selection from the Shift-click anchor,
+ * Right expands or moves to the first child, Left collapses or moves to the parent,
+ * Space toggles the checkbox, Enter opens the page (or toggles a group), Delete starts a deletion,
+ * and the context menu key (or Shift+F10) opens the row menu.
+ */
+function handleTreeKeydown(event) {
+  const listItem = event.target;
+  if (!listItem.matches || !listItem.matches("li.tree-row")) return;
+  const index = parseInt(listItem.dataset.rowIndex, 10);
+  const row = visibleRows[index];
+  if (!row) return;
+
+  let handled = true;
+  switch (event.key) {
+    case "ArrowDown":
+    case "ArrowUp": {
+      const target = index + (event.key === "ArrowDown" ? 1 : -1);
+      if (target < 0 || target >= visibleRows.length) break;
+      if (event.shiftKey) {
+        if (lastCheckedIndex === -1) {
+          lastCheckedIndex = index;
+        }
+        setRowRangeSelected(Math.min(lastCheckedIndex, target), Math.max(lastCheckedIndex, target), true);
+        syncRenderedCheckboxes();
+      }
+      focusRow(target);
+      break;
+    }
+    case "Home":
+      focusRow(0);
+      break;
+    case "End":
+      focusRow(visibleRows.length - 1);
+      break;
+    case "ArrowRight":
+      if (row.hasChildren && row.collapsed) {
+        toggleNodeCollapsed(listItem);
+      } else if (row.hasChildren) {
+        focusRow(index + 1);
+      }
+      break;
+    case "ArrowLeft":
+      if (row.hasChildren && !row.collapsed) {
+        toggleNodeCollapsed(listItem);
+      } else if (parentRowIndex(index) !== -1) {
+        focusRow(parentRowIndex(index));
+      }
+      break;
+    case " ":
+      toggleRowSelection(index, event.shiftKey);
+      break;
+    case "Enter":
+      if (row.item.node) {
+        const link = listItem.querySelector("a");
+        if (link) link.click();
+      } else if (row.hasChildren) {
+        toggleNodeCollapsed(listItem);
+      }
+      break;
+    case "Delete":
+      if (selectedVisitIds.size > 0) {
+        deleteSelectedButton.click();
+      } else if (row.item.node) {
+        deleteNodesWithDialog([nodesByVisitId.get(row.key)].filter(Boolean), "visit");
+      }
+      break;
+    case "ContextMenu":
+    case "F10":
+      if (event.key === "F10" && !event.shiftKey) {
+        handled = false;
+      } else if (row.item.node && contextMenuDiv) {
+        const rect = listItem.getBoundingClientRect();
+        showContextMenu({ clientX: rect.left + 40, clientY: rect.bottom }, listItem);
+      }
+      break;
+    default:
+      handled = false;
+  }
+  if (handled) event.preventDefault();
 }
 
 // --- Event Listeners ---
@@ -423,13 +3215,66 @@ function handleShiftClickLogic(event, clickedCheckbox, currentIndex) {
 refreshButton.addEventListener("click", fetchAndBuildTree);
 // startDateInput.addEventListener("change", fetchAndBuildTree);
 // endDateInput.addEventListener("change", fetchAndBuildTree);
+if (optionsButton) {
+  optionsButton.addEventListener("click", () => chrome.runtime.openOptionsPage());
+}
+// Only Bookmarked filter (re-renders the loaded tree, no re-fetch)
+if (onlyBookmarkedCheckbox) {
+  onlyBookmarkedCheckbox.addEventListener("change", renderFilteredTree);
+}
+// Merge Repeated Pages (rebuilds the tree from the loaded visits, no re-fetch)
 if (filterDuplicatesCheckbox) {
-  filterDuplicatesCheckbox.addEventListener("change", fetchAndBuildTree);
+  filterDuplicatesCheckbox.addEventListener("change", rebuildFromLoadedVisits);
+}
+// Bookmarks added, removed or changed anywhere (also by saveBranchAsBookmarks) are loaded again
+const handleBookmarksChanged = debounce(() => {
+  bookmarkedUrlsLoad = null;
+  loadBookmarkedUrls();
+}, LIVE_RENDER_DELAY_MS);
+chrome.bookmarks.onCreated.addListener(handleBookmarksChanged);
+chrome.bookmarks.onRemoved.addListener(handleBookmarksChanged);
+chrome.bookmarks.onChanged.addListener(handleBookmarksChanged);
+
+// Settings saved on the options page or the privacy panel (or synced from another device)
+onSettingsChanged((changes) => {
+  const rebuild = applySettings(changes);
+  if (activeFetch) return; // The fetch in progress builds with the new settings
+  if (rebuild) {
+    rebuildFromLoadedVisits();
+  } else {
+    renderViewport(true);
+  }
+});
+
+// Privacy Rules Panel
+if (privacyRuleForm) {
+  privacyRuleForm.addEventListener("submit", async (event) => {
+    event.preventDefault();
+    if (await addPrivacyRule(privacyPatternInput.value, privacyActionSelect.value)) {
+      privacyPatternInput.value = "";
+    }
+  });
+}
+if (privacyPreviewButton) {
+  privacyPreviewButton.addEventListener("click", () => {
+    const pattern = privacyPatternInput.value.trim();
+    if (pattern) showPrivacyPreview(pattern, privacyActionSelect.value);
+  });
 }
+if (purgeLogClearButton) {
+  purgeLogClearButton.addEventListener("click", () => clearPurgeLog());
+}
+// The background worker appends to the purge log
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === "local" && PURGE_LOG_KEY in changes) renderPurgeLog();
+});
 
-// Debounced listener for Max Results (triggers full fetch)
-const debouncedFetch = debounce(fetchAndBuildTree, 500);
-maxResultsInput.addEventListener("input", debouncedFetch);
+// Cancel keeps whatever has been loaded so far
+if (loadingCancelButton) {
+  loadingCancelButton.addEventListener("click", () => {
+    if (activeFetch) activeFetch.cancelled = true;
+  });
+}
 
 // Debounced listener for Search Input (triggers rendering only)
 if (searchInput) {
@@ -437,79 +3282,250 @@ if (searchInput) {
   searchInput.addEventListener("input", debouncedRender);
 }
 
-// Delete Selected Button Listener
-if (deleteSelectedButton) {
-  deleteSelectedButton.addEventListener("click", async () => {
-    // 1. Find selected checkboxes within the currently rendered tree
-    const selectedCheckboxes = historyTreeDiv.querySelectorAll(".history-item-checkbox:checked");
+// Virtualized rendering follows scrolling and resizing, at most once per frame
+if (scrollContainer) {
+  let viewportFrame = null;
+  const scheduleViewportRender = () => {
+    if (viewportFrame) return;
+    viewportFrame = requestAnimationFrame(() => {
+      viewportFrame = null;
+      renderViewport();
+    });
+  };
+  scrollContainer.addEventListener("scroll", scheduleViewportRender, { passive: true });
+  window.addEventListener("resize", scheduleViewportRender);
+}
 
-    if (selectedCheckboxes.length === 0) {
-      alert("Please select history items to delete.");
-      return;
+// Live Updates from chrome.history events
+chrome.history.onVisited.addListener(handleLiveVisited);
+chrome.history.onVisitRemoved.addListener(handleLiveVisitRemoved);
+if (liveUpdatesCheckbox) {
+  // Catch up on everything missed while live updates were off
+  liveUpdatesCheckbox.addEventListener("change", () => {
+    if (liveUpdatesCheckbox.checked) fetchAndBuildTree();
+  });
+}
+
+// View Mode Switcher (re-renders the already fetched visits, no re-fetch)
+if (viewModeSelect) {
+  viewModeSelect.addEventListener("change", () => {
+    currentViewMode = viewModeSelect.value;
+    renderFilteredTree();
+  });
+}
+
+// Timestamp Format (re-renders the rows in view; relative times are kept current)
+if (timestampFormatSelect) {
+  timestampFormatSelect.value = timestampFormat;
+  timestampFormatSelect.addEventListener("change", () => {
+    timestampFormat = timestampFormatSelect.value;
+    renderViewport(true);
+  });
+}
+setInterval(() => {
+  if (timestampFormat === "relative") renderViewport(true);
+}, RELATIVE_TIME_REFRESH_MS);
+
+// Transition Filter (rebuilds from the loaded visits, no re-fetch)
+if (transitionFiltersDiv) {
+  transitionFiltersDiv.addEventListener("change", (event) => {
+    if (!event.target.matches("input[type=checkbox]")) return;
+    if (event.target.checked) {
+      hiddenTransitions.delete(event.target.value);
+    } else {
+      hiddenTransitions.add(event.target.value);
     }
+    rebuildFromLoadedVisits();
+  });
+}
 
-    // 2. Collect unique URLs to delete
-    const urlsToDelete = new Set();
-    selectedCheckboxes.forEach((checkbox) => {
-      if (checkbox.dataset.url) {
-        urlsToDelete.add(checkbox.dataset.url);
-      }
-    });
+// Session Grouping (re-renders only; the gap also bounds which roots merge, so changing it rebuilds the tree)
+if (groupSessionsCheckbox) {
+  groupSessionsCheckbox.addEventListener("change", renderFilteredTree);
+}
+if (sessionGapInput) {
+  sessionGapInput.value = DEFAULT_SESSION_GAP_MINUTES;
+  sessionGapInput.addEventListener("change", () => {
+    if (filterDuplicatesCheckbox && filterDuplicatesCheckbox.checked) {
+      rebuildFromLoadedVisits();
+    } else {
+      renderFilteredTree();
+    }
+  });
+}
+
+// Expand / Collapse Controls (DOM-only, no re-render, so checkbox selection is kept)
+if (expandAllButton) {
+  expandAllButton.addEventListener("click", () => setCollapsedToDepth(Infinity));
+}
+if (collapseAllButton) {
+  collapseAllButton.addEventListener("click", () => setCollapsedToDepth(0));
+}
+if (expandToDepthButton && expandDepthInput) {
+  expandToDepthButton.addEventListener("click", () => {
+    const depth = parseInt(expandDepthInput.value, 10);
+    setCollapsedToDepth(isNaN(depth) || depth < 0 ? 0 : depth);
+  });
+}
+
+// Export Menu Listener (serializes what is currently rendered, then resets the menu)
+if (exportFormatSelect) {
+  exportFormatSelect.addEventListener("change", () => {
+    const format = exportFormatSelect.value;
+    exportFormatSelect.value = "";
+    if (!format) return;
+
+    // With checked visits (e.g. a whole session) only those are exported
+    const nodes =
+      selectedVisitIds.size > 0
+        ? filterTreeByNode(currentRenderedTree, (node) => selectedVisitIds.has(node.data.visitData.visitId))
+        : currentRenderedTree;
+    if (nodes.length === 0) {
+      alert(msg("nothingToExport"));
+      return;
+    }
+    const range = `${startDateInput.value}_${endDateInput.value}`;
+    try {
+      exportTree(nodes, format, {
+        title: msg(selectedVisitIds.size > 0 ? "exportTitleSelected" : "exportTitle", [
+          startDateInput.value,
+          endDateInput.value,
+        ]),
+        fileBaseName: `history-tree_${range}`,
+        startDate: startDateInput.value,
+        endDate: endDateInput.value,
+        searchText: searchInput ? searchInput.value.trim() : "",
+      });
+    } catch (error) {
+      console.error("Error exporting history tree:", error);
+      alert(msg("exportFailed", error.message));
+    }
+  });
+}
 
-    if (urlsToDelete.size === 0) {
-      alert("Could not identify URLs for selected items.");
+// Delete Selected Button Listener
+if (deleteSelectedButton) {
+  deleteSelectedButton.addEventListener("click", async () => {
+    // 1. Find selected visits (rows may not be in the DOM, so use the selection state)
+    if (selectedVisitIds.size === 0) {
+      alert(msg("selectToDelete"));
       return;
     }
 
-    // 3. **** CRITICAL: Confirm with strong warning ****
-    const urlList = Array.from(urlsToDelete)
-      .map((url) => `- ${url}`)
-      .join("\n");
-    const confirmationMessage = `WARNING!\nYou are about to delete ALL history records for the selected URL(s).`;
+    // 2. Resolve the selected visits to their tree nodes
+    const selectedNodes = resolveSelectedNodes();
 
-    if (!confirm(confirmationMessage)) {
-      console.log("Deletion cancelled by user.");
+    if (selectedNodes.length === 0) {
+      alert(msg("selectionUnresolved"));
       return;
     }
 
-    // 4. Proceed with deletion
-    console.log("Deleting URLs:", urlsToDelete);
-    loadingDiv.style.display = "block"; // Show loading indicator during deletion
-
-    let deletionErrors = 0;
-    const deletionPromises = [];
-
-    urlsToDelete.forEach((url) => {
-      // Wrap the chrome API call in a promise for Promise.all
-      const promise = new Promise((resolve, reject) => {
-        chrome.history.deleteUrl({ url: url }, () => {
-          if (chrome.runtime.lastError) {
-            console.error(`Error deleting URL ${url}:`, chrome.runtime.lastError.message);
-            reject(chrome.runtime.lastError);
-          } else {
-            console.log(`Successfully requested deletion for ${url}`);
-            resolve();
-          }
-        });
-      });
-      deletionPromises.push(promise);
-    });
+    // 3. Let the user pick the scope and delete
+    await deleteNodesWithDialog(selectedNodes, "visit");
+  });
+}
 
-    // Wait for all deletion requests to be processed (success or fail)
-    const results = await Promise.allSettled(deletionPromises);
+// Keyboard Navigation: the tree is a single tab stop with a roving focus
+historyTreeDiv.addEventListener("keydown", handleTreeKeydown);
+historyTreeDiv.addEventListener("focusin", (event) => {
+  const listItem = event.target.closest("li.tree-row");
+  if (!listItem) return;
+  focusedRowIndex = parseInt(listItem.dataset.rowIndex, 10);
+  historyTreeDiv.querySelectorAll('li.tree-row[tabindex="0"]').forEach((other) => {
+    if (other !== listItem) other.tabIndex = -1;
+  });
+  listItem.tabIndex = 0;
+});
+// "/" focuses the search box from anywhere except text fields
+document.addEventListener("keydown", (event) => {
+  if (event.key !== "/" || event.ctrlKey || event.metaKey || event.altKey || !searchInput) return;
+  if (event.target.closest("input, textarea, select, [contenteditable]")) return;
+  event.preventDefault();
+  searchInput.focus();
+  searchInput.select();
+});
 
-    results.forEach((result) => {
-      if (result.status === "rejected") {
-        deletionErrors++;
-      }
-    });
+// Row Context Menu (visit rows only; group headers keep the browser menu)
+if (contextMenuDiv) {
+  historyTreeDiv.addEventListener("contextmenu", (event) => {
+    const listItem = event.target.closest("li[data-visit-id]");
+    if (!listItem) return;
+    event.preventDefault();
+    showContextMenu(event, listItem);
+  });
+  contextMenuDiv.addEventListener("click", (event) => {
+    const menuItem = event.target.closest("button[data-command]");
+    if (menuItem) runContextMenuCommand(menuItem.dataset.command);
+  });
+  contextMenuDiv.addEventListener("keydown", (event) => {
+    if (event.key !== "ArrowDown" && event.key !== "ArrowUp") return;
+    event.preventDefault();
+    const items = Array.from(contextMenuDiv.querySelectorAll("button"));
+    const current = items.indexOf(document.activeElement);
+    const step = event.key === "ArrowDown" ? 1 : -1;
+    items[(current + step + items.length) % items.length].focus();
+  });
+  document.addEventListener("mousedown", (event) => {
+    if (!contextMenuDiv.contains(event.target)) hideContextMenu();
+  });
+  document.addEventListener("keydown", (event) => {
+    if (event.key !== "Escape" || !contextMenuRow) return;
+    const rowIndex = contextMenuRow.rowIndex;
+    hideContextMenu();
+    focusRow(rowIndex); // Give the focus back to the row the menu was opened on
+  });
+  window.addEventListener("blur", hideContextMenu);
+  if (scrollContainer) scrollContainer.addEventListener("scroll", hideContextMenu, { passive: true });
+}
+
+// Open Selected Menu (opens the checked visits, then resets the menu)
+if (openSelectedSelect) {
+  openSelectedSelect.addEventListener("change", () => {
+    const target = openSelectedSelect.value;
+    openSelectedSelect.value = "";
+    if (target) openSelected(target);
+  });
+}
 
-    await fetchAndBuildTree();
+// Archive Panel Listeners
+if (archiveSnapshotButton) {
+  archiveSnapshotButton.addEventListener("click", async () => {
+    archiveSnapshotButton.disabled = true;
+    archiveStatusDiv.textContent = msg("archivingHistory");
+    try {
+      await snapshotHistoryToArchive();
+    } catch (error) {
+      console.error("Archive snapshot failed:", error);
+      alert(msg("archiveSnapshotFailed", error.message));
+    }
+    archiveSnapshotButton.disabled = false;
+    updateArchiveStatus();
+  });
+}
+if (archivePurgeButton) {
+  archivePurgeButton.addEventListener("click", async () => {
+    if (!confirm(msg("confirmPurgeArchive"))) {
+      return;
+    }
+    try {
+      await purgeArchive();
+    } catch (error) {
+      console.error("Archive purge failed:", error);
+      alert(msg("archivePurgeFailed", error.message));
+    }
+    updateArchiveStatus();
+    fetchAndBuildTree();
   });
 }
 
 // --- Initial Load & Litepicker Setup ---
-document.addEventListener("DOMContentLoaded", () => {
+document.addEventListener("DOMContentLoaded", async () => {
+  localizePage();
+  const settings = await loadSettings();
+  applySettings(settings);
+  const defaultStartDate = new Date();
+  defaultStartDate.setDate(defaultStartDate.getDate() - (settings.defaultRangeDays - 1));
+
   // Function to format date as YYYY-MM-DD using local time
   const formatDateLocal = (date) => {
     if (!date) return "";
@@ -521,6 +3537,19 @@ document.addEventListener("DOMContentLoaded", () => {
     return `${year}-${month}-${day}`;
   };
 
+  // The omnibox opens the page with ?q=<search>&start=<YYYY-MM-DD>&end=<YYYY-MM-DD>
+  const launchParams = new URLSearchParams(location.search);
+  const parseLaunchDate = (name) => {
+    const value = launchParams.get(name);
+    const date = value && /^\d{4}-\d{2}-\d{2}$/.test(value) ? new Date(`${value}T00:00`) : null;
+    return date && !isNaN(date.getTime()) ? date : null;
+  };
+  const launchStartDate = parseLaunchDate("start");
+  const launchEndDate = parseLaunchDate("end");
+  if (searchInput && launchParams.get("q")) {
+    searchInput.value = launchParams.get("q");
+  }
+
   const picker = new Litepicker({
     element: document.getElementById("datepicker-container"),
     inlineMode: true,
@@ -528,11 +3557,13 @@ document.addEventListener("DOMContentLoaded", () => {
     numberOfMonths: 1,
     numberOfColumns: 1,
     format: "YYYY-MM-DD",
+    lang: uiLocale(),
     showTooltip: true,
     autoApply: true,
-    startDate: new Date(new Date().setDate(new Date().getDate() - 1)), // Yesterday
-    endDate: new Date(), // Today
+    startDate: launchStartDate || defaultStartDate,
+    endDate: launchEndDate || new Date(), // Today
     setup: (picker) => {
+      picker.on("render:day", shadeCalendarDay);
       picker.on("selected", (date1, date2) => {
         if (date1 && date2) {
           // --- 1. Format dates and update hidden inputs ---
@@ -541,59 +3572,42 @@ document.addEventListener("DOMContentLoaded", () => {
           startDateInput.value = startDateString;
           endDateInput.value = endDateString;
 
-          // --- 2. Calculate date range duration ---
-          const d1 = date1.toJSDate();
-          const d2 = date2.toJSDate();
-          d1.setHours(0, 0, 0, 0);
-          d2.setHours(0, 0, 0, 0);
-          const diffTime = Math.abs(d2.getTime() - d1.getTime());
-          const diffDays = Math.round(diffTime / (1000 * 60 * 60 * 24)) + 1;
-
-          // --- 3. Calculate and update Max Results ---
-          let suggestedMax = BASE_MAX_RESULTS + Math.max(0, diffDays - 1) * RESULTS_PER_DAY;
-          suggestedMax = Math.min(suggestedMax, MAX_RESULTS_CAP);
-          suggestedMax = Math.max(suggestedMax, BASE_MAX_RESULTS);
-          suggestedMax = Math.round(suggestedMax);
-
-          // Update the input field value
-          if (maxResultsInput) {
-            maxResultsInput.value = suggestedMax;
-          }
+          // --- 2. Fetch the whole range (paged, no result limit to guess) ---
           fetchAndBuildTree();
         }
       });
     },
   });
+  datePicker = picker; // Re-rendered when the calendar's activity shading changes
 
   if (historyTreeDiv) {
     historyTreeDiv.addEventListener("click", (event) => {
       if (event.target && event.target.matches(".history-item-checkbox")) {
         handleCheckboxClick(event, event.target); // Use the dedicated handler
+      } else if (event.target && event.target.matches(".group-checkbox")) {
+        handleGroupCheckboxClick(event.target);
+      } else if (event.target && event.target.matches(".tree-toggle")) {
+        toggleNodeCollapsed(event.target.closest("li"));
+      } else if (event.target && event.target.matches(".merge-badge")) {
+        toggleMergedVisits(event.target.closest("li"));
+      } else if (event.target && event.target.matches('.node-action[data-action="bookmark"]')) {
+        const node = nodesByVisitId.get(event.target.closest("li").dataset.visitId);
+        if (node) saveBranchAsBookmarks(node);
+      } else if (event.target && event.target.matches(".node-action")) {
+        openBranch(event.target.closest("li"), event.target.dataset.action);
       }
     });
   }
 
   // --- Initial Setup on Load ---
   // Set initial hidden input dates based on Litepicker defaults
-  const initialStartDate = picker.getStartDate()
-    ? picker.getStartDate().toJSDate()
-    : new Date(new Date().setDate(new Date().getDate() - 1));
+  const initialStartDate = picker.getStartDate() ? picker.getStartDate().toJSDate() : defaultStartDate;
   const initialEndDate = picker.getEndDate() ? picker.getEndDate().toJSDate() : new Date();
   startDateInput.value = formatDateLocal(initialStartDate);
   endDateInput.value = formatDateLocal(initialEndDate);
 
-  // Calculate and set initial Max Results based on the default date range
-  initialStartDate.setHours(0, 0, 0, 0);
-  initialEndDate.setHours(0, 0, 0, 0);
-  const initialDiffTime = Math.abs(initialEndDate.getTime() - initialStartDate.getTime());
-  const initialDiffDays = Math.round(initialDiffTime / (1000 * 60 * 60 * 24)) + 1;
-  let initialMax = BASE_MAX_RESULTS + Math.max(0, initialDiffDays - 1) * RESULTS_PER_DAY;
-  initialMax = Math.min(initialMax, MAX_RESULTS_CAP);
-  initialMax = Math.max(initialMax, BASE_MAX_RESULTS);
-  if (maxResultsInput) {
-    maxResultsInput.value = Math.round(initialMax);
-    console.log(`[DEBUG] Initial Max Results set to: ${maxResultsInput.value}`);
-  }
-
   fetchAndBuildTree();
+  updateArchiveStatus();
+  renderRecentlyDeleted();
+  renderPurgeLog();
 });
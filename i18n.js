@@ -0,0 +1,88 @@
+/**
+ * i18n.js
+ * Localization helpers around chrome.i18n and locale-aware timestamp formatting.
+ * Messages live in _locales/<locale>/messages.json; substitutions are referenced there as $1..$9.
+ * Loaded by the background service worker (importScripts) and by history.html (<script>).
+ */
+
+// --- Messages ---
+
+/**
+ * Returns the localized message for key. Falls back to the key itself so a missing message is visible.
+ */
+function msg(key, substitutions) {
+  const subs = substitutions === undefined ? undefined : [].concat(substitutions).map(String);
+  const message = chrome.i18n.getMessage(key, subs);
+  if (!message) {
+    console.warn(`Missing message: ${key}`);
+    return key;
+  }
+  return message;
+}
+
+/**
+ * Like msg, with count as the first substitution. Uses "<key>_one" for a count of 1 where the locale defines it.
+ */
+function msgCount(key, count, substitutions = []) {
+  const subs = [String(count), ...substitutions.map(String)];
+  const singular = count === 1 ? chrome.i18n.getMessage(`${key}_one`, subs) : "";
+  return singular || msg(key, subs);
+}
+
+/**
+ * Replaces the text and attributes of elements marked with data-i18n (text content), data-i18n-title,
+ * data-i18n-placeholder and data-i18n-aria-label with their messages. The English markup stays as fallback.
+ */
+function localizePage(root = document) {
+  root.querySelectorAll("[data-i18n]").forEach((element) => {
+    element.textContent = msg(element.dataset.i18n);
+  });
+  root.querySelectorAll("[data-i18n-title]").forEach((element) => {
+    element.title = msg(element.dataset.i18nTitle);
+  });
+  root.querySelectorAll("[data-i18n-placeholder]").forEach((element) => {
+    element.placeholder = msg(element.dataset.i18nPlaceholder);
+  });
+  root.querySelectorAll("[data-i18n-aria-label]").forEach((element) => {
+    element.setAttribute("aria-label", msg(element.dataset.i18nAriaLabel));
+  });
+}
+
+function uiLocale() {
+  return chrome.i18n.getUILanguage();
+}
+
+// --- Timestamps ---
+
+// "absolute": date and time; "time": time only for today's visits; "relative": "5 min ago"
+const TIMESTAMP_FORMATS = ["absolute", "time", "relative"];
+
+const RELATIVE_TIME_UNITS = [
+  { unit: "year", ms: 365 * 24 * 60 * 60 * 1000 },
+  { unit: "month", ms: 30 * 24 * 60 * 60 * 1000 },
+  { unit: "day", ms: 24 * 60 * 60 * 1000 },
+  { unit: "hour", ms: 60 * 60 * 1000 },
+  { unit: "minute", ms: 60 * 1000 },
+  { unit: "second", ms: 1000 },
+];
+
+/**
+ * Formats a visit time in the browser's UI locale according to one of TIMESTAMP_FORMATS.
+ */
+function formatTimestamp(time, format, now = Date.now()) {
+  const date = new Date(time);
+  if (format === "relative") {
+    const elapsed = time - now;
+    const { unit, ms } = RELATIVE_TIME_UNITS.find((candidate) => Math.abs(elapsed) >= candidate.ms) ||
+      RELATIVE_TIME_UNITS[RELATIVE_TIME_UNITS.length - 1];
+    return new Intl.RelativeTimeFormat(uiLocale(), { numeric: "auto", style: "short" }).format(
+      Math.round(elapsed / ms),
+      unit
+    );
+  }
+  const timeOptions = { hour: "2-digit", minute: "2-digit", second: "2-digit" };
+  if (format === "time" && date.toDateString() === new Date(now).toDateString()) {
+    return date.toLocaleTimeString(uiLocale(), timeOptions);
+  }
+  return date.toLocaleString(uiLocale(), { year: "numeric", month: "2-digit", day: "2-digit", ...timeOptions });
+}
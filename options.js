@@ -0,0 +1,126 @@
+/**
+ * options.js
+ * Logic for the options page: shows the saved settings and saves every change right away.
+ */
+
+// --- DOM Element References ---
+const optionsForm = document.getElementById("options-form");
+const hiddenTransitionsDiv = document.getElementById("hidden-transitions");
+const optionsStatus = document.getElementById("options-status");
+const optionsResetButton = document.getElementById("options-reset-button");
+
+// --- Constants ---
+const SAVED_STATUS_DURATION_MS = 2000;
+
+// --- State ---
+let savedStatusTimeout = null;
+
+// --- Form ---
+
+/**
+ * Renders one checkbox per transition type; a checked box hides that type.
+ */
+function renderHiddenTransitionOptions() {
+  const fragment = document.createDocumentFragment();
+  TRANSITION_TYPES.forEach((transition) => {
+    const label = document.createElement("label");
+    label.className = "transition-filter";
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.name = "hiddenTransitions";
+    checkbox.value = transition;
+    label.append(checkbox, ` ${transition} – ${msg(`transition_${transition}`)}`);
+    fragment.appendChild(label);
+  });
+  hiddenTransitionsDiv.replaceChildren(fragment);
+}
+
+/**
+ * Sets the form controls to the given settings.
+ */
+function fillOptionsForm(settings) {
+  const elements = optionsForm.elements;
+  elements.defaultRangeDays.value = settings.defaultRangeDays;
+  elements.contextDepth.value = settings.contextDepth;
+  elements.hideDuplicates.checked = settings.hideDuplicates;
+  elements.ignoreUrlFragments.checked = settings.ignoreUrlFragments;
+  elements.ignoredUrlParams.value = settings.ignoredUrlParams.join("\n");
+  elements.collapseRedirects.checked = settings.collapseRedirects;
+  elements.timestampFormat.value = settings.timestampFormat;
+  elements.theme.value = settings.theme;
+  elements.reuseTab.checked = settings.reuseTab;
+  hiddenTransitionsDiv.querySelectorAll("input").forEach((checkbox) => {
+    checkbox.checked = settings.hiddenTransitions.includes(checkbox.value);
+  });
+}
+
+/**
+ * Reads the settings from the form controls. Returns null while the day count is not a positive number
+ * or the context depth is negative.
+ */
+function readOptionsForm() {
+  const elements = optionsForm.elements;
+  const defaultRangeDays = parseInt(elements.defaultRangeDays.value, 10);
+  const contextDepth = parseInt(elements.contextDepth.value, 10);
+  if (!(defaultRangeDays >= 1) || !(contextDepth >= 0)) return null;
+  return {
+    defaultRangeDays: defaultRangeDays,
+    contextDepth: contextDepth,
+    hideDuplicates: elements.hideDuplicates.checked,
+    ignoreUrlFragments: elements.ignoreUrlFragments.checked,
+    ignoredUrlParams: elements.ignoredUrlParams.value.split(/[\s,]+/).filter((param) => param),
+    collapseRedirects: elements.collapseRedirects.checked,
+    hiddenTransitions: Array.from(hiddenTransitionsDiv.querySelectorAll("input:checked"), (checkbox) => checkbox.value),
+    timestampFormat: elements.timestampFormat.value,
+    theme: elements.theme.value,
+    reuseTab: elements.reuseTab.checked,
+  };
+}
+
+function showSavedStatus(message) {
+  optionsStatus.textContent = message;
+  clearTimeout(savedStatusTimeout);
+  savedStatusTimeout = setTimeout(() => (optionsStatus.textContent = ""), SAVED_STATUS_DURATION_MS);
+}
+
+// --- Event Listeners ---
+
+optionsForm.addEventListener("change", async () => {
+  const settings = readOptionsForm();
+  if (!settings) return;
+  try {
+    await saveSettings(settings);
+    applyTheme(settings.theme);
+    showSavedStatus(msg("optionsSaved"));
+  } catch (error) {
+    console.error("Error saving settings:", error);
+    alert(msg("optionsSaveFailed", error.message));
+  }
+});
+
+optionsResetButton.addEventListener("click", async () => {
+  try {
+    await resetSettings();
+    fillOptionsForm(DEFAULT_SETTINGS);
+    applyTheme(DEFAULT_SETTINGS.theme);
+    showSavedStatus(msg("optionsReset"));
+  } catch (error) {
+    console.error("Error resetting settings:", error);
+    alert(msg("optionsSaveFailed", error.message));
+  }
+});
+
+// Settings synced from another device while the page is open
+onSettingsChanged(async () => {
+  const settings = await loadSettings();
+  fillOptionsForm(settings);
+  applyTheme(settings.theme);
+});
+
+document.addEventListener("DOMContentLoaded", async () => {
+  localizePage();
+  renderHiddenTransitionOptions();
+  const settings = await loadSettings();
+  fillOptionsForm(settings);
+  applyTheme(settings.theme);
+});
@@ -0,0 +1,86 @@
+/**
+ * privacy.js
+ * Privacy rules: URL patterns whose visits are hidden from the viewer ("hide") or deleted from history ("purge").
+ * Rules are kept in the privacyRules setting (settings.js) as { pattern, action }; purges are logged locally.
+ * Loaded by the background service worker (importScripts) and by history.html (<script>).
+ */
+
+// --- Constants ---
+const PRIVACY_ACTIONS = ["hide", "purge"];
+const PURGE_LOG_KEY = "purgeLog"; // chrome.storage.local key of the purge log
+const PURGE_LOG_LIMIT = 200;
+
+// --- Patterns ---
+
+const compiledPrivacyPatterns = new Map(); // pattern -> { host, path (null without "/"), withPort }
+
+function wildcardSource(text) {
+  return text
+    .split("*")
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join(".*");
+}
+
+/**
+ * Compiles a rule pattern; "*" matches any characters and case is ignored.
+ * - Without "/" the pattern is a host name that also matches its subdomains: "example.com", "*.example.*"
+ * - With "/" the part before it matches the whole host and the rest the start of the path and query:
+ *   "example.com/private/", "*.example.com/admin/". A port is only compared when the pattern names one.
+ */
+function compilePrivacyPattern(pattern) {
+  if (!compiledPrivacyPatterns.has(pattern)) {
+    const stripped = pattern
+      .trim()
+      .toLowerCase()
+      .replace(/^[a-z][a-z0-9+.-]*:\/\//, ""); // A pasted scheme is ignored like the URL's
+    const slash = stripped.indexOf("/");
+    const host = slash === -1 ? stripped : stripped.slice(0, slash);
+    const compiled = {
+      host: new RegExp(slash === -1 ? `^(.*\\.)?${wildcardSource(host)}$` : `^${wildcardSource(host)}$`),
+      path: slash === -1 ? null : new RegExp(`^${wildcardSource(stripped.slice(slash))}`),
+      withPort: host.includes(":"),
+    };
+    compiledPrivacyPatterns.set(pattern, compiled);
+  }
+  return compiledPrivacyPatterns.get(pattern);
+}
+
+function urlMatchesPrivacyPattern(url, pattern) {
+  if (!pattern || !pattern.trim()) return false;
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return false;
+  }
+  const compiled = compilePrivacyPattern(pattern);
+  if (!compiled.host.test(compiled.withPort ? parsed.host : parsed.hostname)) return false;
+  return !compiled.path || compiled.path.test((parsed.pathname + parsed.search).toLowerCase());
+}
+
+/**
+ * Returns the first rule with the given action whose pattern matches url, or null.
+ */
+function findPrivacyRule(url, rules, action) {
+  return (rules || []).find((rule) => rule.action === action && urlMatchesPrivacyPattern(url, rule.pattern)) || null;
+}
+
+// --- Purge Log ---
+
+/**
+ * Resolves with the logged purges, newest first: [{ time, url, pattern, trigger }].
+ * trigger is "visit" (deleted right after the visit), "schedule" (periodic run) or "rules" (rules changed).
+ */
+async function loadPurgeLog() {
+  const stored = await chrome.storage.local.get(PURGE_LOG_KEY);
+  return stored[PURGE_LOG_KEY] || [];
+}
+
+async function appendPurgeLog(entries) {
+  const log = await loadPurgeLog();
+  await chrome.storage.local.set({ [PURGE_LOG_KEY]: [...entries, ...log].slice(0, PURGE_LOG_LIMIT) });
+}
+
+async function clearPurgeLog() {
+  await chrome.storage.local.remove(PURGE_LOG_KEY);
+}
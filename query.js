@@ -0,0 +1,258 @@
+/**
+ * query.js
+ * Parser and matcher for the search box query language.
+ *
+ * Supported syntax (terms are ANDed, case-insensitive):
+ *   word               title or URL contains "word"
+ *   "some phrase"      title or URL contains the phrase
+ *   /regex/flags       title or URL matches the regular expression (always case-insensitive)
+ *   site:github.com    host is github.com or one of its subdomains
+ *   title:foo url:bar  only the title / only the URL contains the value
+ *   transition:typed   visit transition type (see TRANSITION_TYPES)
+ *   after:14:00        visit time of day (HH:MM) or date/time (YYYY-MM-DD[THH:MM]) bounds;
+ *   before:2024-05-01  "after" is inclusive, "before" is exclusive
+ *   depth:>2           node depth in the tree (roots are 0); also <, >=, <=, =
+ *   -term              excludes nodes matching any of the above
+ */
+
+// --- Constants ---
+const TRANSITION_TYPES = [
+  "link",
+  "typed",
+  "auto_bookmark",
+  "auto_subframe",
+  "manual_subframe",
+  "generated",
+  "auto_toplevel",
+  "form_submit",
+  "reload",
+  "keyword",
+  "keyword_generated",
+];
+
+const QUERY_OPERATORS = ["site", "title", "url", "transition", "after", "before", "depth"];
+
+/**
+ * Error thrown for queries that cannot be parsed; the message is shown next to the search box.
+ */
+class SearchQueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "SearchQueryError";
+  }
+}
+
+// --- Tokenizing ---
+
+/**
+ * Splits the query into raw tokens of the form { negate, key, value, quoted, regex, start, end },
+ * start and end being the token's position in text. Whitespace separates tokens except inside double quotes
+ * or /regex/ literals.
+ */
+function tokenizeSearchQuery(text) {
+  const tokens = [];
+  let i = 0;
+  while (i < text.length) {
+    if (/\s/.test(text[i])) {
+      i++;
+      continue;
+    }
+    const token = { negate: false, key: null, value: "", quoted: false, regex: null, start: i, end: i };
+    if (text[i] === "-" && i + 1 < text.length && !/\s/.test(text[i + 1])) {
+      token.negate = true;
+      i++;
+    }
+    const keyMatch = /^([a-z]+):/i.exec(text.slice(i));
+    if (keyMatch && QUERY_OPERATORS.includes(keyMatch[1].toLowerCase())) {
+      token.key = keyMatch[1].toLowerCase();
+      i += keyMatch[0].length;
+    }
+
+    if (text[i] === '"') {
+      const close = text.indexOf('"', i + 1);
+      if (close === -1) {
+        throw new SearchQueryError(msg("queryUnterminatedPhrase"));
+      }
+      token.value = text.slice(i + 1, close);
+      token.quoted = true;
+      i = close + 1;
+    } else if (text[i] === "/" && !token.key) {
+      let j = i + 1;
+      while (j < text.length && text[j] !== "/") {
+        j += text[j] === "\\" ? 2 : 1;
+      }
+      if (j >= text.length) {
+        throw new SearchQueryError(msg("queryUnterminatedRegex"));
+      }
+      const flags = /^[a-z]*/i.exec(text.slice(j + 1))[0];
+      token.regex = { source: text.slice(i + 1, j), flags: flags };
+      i = j + 1 + flags.length;
+    } else {
+      const start = i;
+      while (i < text.length && !/\s/.test(text[i])) i++;
+      token.value = text.slice(start, i);
+    }
+    token.end = i;
+    tokens.push(token);
+  }
+  return tokens;
+}
+
+// --- Parsing ---
+
+/**
+ * Parses a date/time bound for after:/before:. Returns { timeOfDay: minutes } or { time: epoch ms }.
+ */
+function parseTimeBound(value, key) {
+  const timeOnly = /^(\d{1,2}):(\d{2})$/.exec(value);
+  if (timeOnly) {
+    const hours = parseInt(timeOnly[1], 10);
+    const minutes = parseInt(timeOnly[2], 10);
+    if (hours > 23 || minutes > 59) {
+      throw new SearchQueryError(msg("queryInvalidTime", [key, value]));
+    }
+    return { timeOfDay: hours * 60 + minutes };
+  }
+  const dateTime = /^(\d{4}-\d{2}-\d{2})(?:[T ](\d{1,2}:\d{2}))?$/.exec(value);
+  if (dateTime) {
+    // Date-only strings would be parsed as UTC, so always build a local date-time string
+    const time = new Date(`${dateTime[1]}T${(dateTime[2] || "00:00").padStart(5, "0")}`).getTime();
+    if (!isNaN(time)) return { time: time };
+  }
+  throw new SearchQueryError(msg("queryInvalidTimeBound", [key, value]));
+}
+
+/**
+ * Parses a depth comparison such as ">2", "<=1" or "3".
+ */
+function parseDepthComparison(value) {
+  const match = /^(>=|<=|>|<|=)?(\d+)$/.exec(value);
+  if (!match) {
+    throw new SearchQueryError(msg("queryInvalidDepth", value));
+  }
+  return { op: match[1] || "=", depth: parseInt(match[2], 10) };
+}
+
+/**
+ * Parses query text into a list of terms. Returns null for an empty query.
+ * Throws SearchQueryError if the query is invalid.
+ */
+function parseSearchQuery(text) {
+  const tokens = tokenizeSearchQuery(text || "");
+  if (tokens.length === 0) return null;
+
+  return tokens.map((token) => {
+    const term = { negate: token.negate, key: token.key || "text" };
+    if (token.regex) {
+      try {
+        term.key = "regex";
+        // Stateful g/y flags would make repeated test() calls skip matches
+        const flags = new Set(`${token.regex.flags.replace(/[gy]/g, "")}i`);
+        term.regex = new RegExp(token.regex.source, Array.from(flags).join(""));
+      } catch (error) {
+        throw new SearchQueryError(error.message); // Already reads "Invalid regular expression: ..."
+      }
+      return term;
+    }
+    if (!token.value) {
+      throw new SearchQueryError(token.key ? msg("queryMissingValue", token.key) : msg("queryEmptyTerm"));
+    }
+    const value = token.value.toLowerCase();
+    switch (term.key) {
+      case "site":
+        term.value = value.replace(/^\*?\./, "");
+        break;
+      case "transition":
+        if (!TRANSITION_TYPES.includes(value)) {
+          throw new SearchQueryError(msg("queryUnknownTransition", [token.value, TRANSITION_TYPES.join(", ")]));
+        }
+        term.value = value;
+        break;
+      case "after":
+      case "before":
+        Object.assign(term, parseTimeBound(token.value, term.key));
+        break;
+      case "depth":
+        Object.assign(term, parseDepthComparison(value));
+        break;
+      default:
+        term.value = value;
+    }
+    return term;
+  });
+}
+
+// --- Matching ---
+
+function hostnameOf(url) {
+  try {
+    return new URL(url).hostname.toLowerCase();
+  } catch (e) {
+    return "";
+  }
+}
+
+function compareDepth(depth, op, target) {
+  switch (op) {
+    case ">":
+      return depth > target;
+    case "<":
+      return depth < target;
+    case ">=":
+      return depth >= target;
+    case "<=":
+      return depth <= target;
+    default:
+      return depth === target;
+  }
+}
+
+/**
+ * Tests a single term against a node without applying its negation.
+ */
+function termMatches(term, node, depth) {
+  const item = node.data.historyItem;
+  const visit = node.data.visitData;
+  const title = (item.title || "").toLowerCase();
+  const url = (item.url || "").toLowerCase();
+
+  switch (term.key) {
+    case "title":
+      return title.includes(term.value);
+    case "url":
+      return url.includes(term.value);
+    case "site": {
+      const host = hostnameOf(item.url);
+      return host === term.value || host.endsWith(`.${term.value}`);
+    }
+    case "regex":
+      return term.regex.test(item.title || "") || term.regex.test(item.url || "");
+    case "transition":
+      return visit.transition === term.value;
+    case "after":
+    case "before": {
+      let actual;
+      let bound;
+      if (term.timeOfDay !== undefined) {
+        const date = new Date(visit.visitTime);
+        actual = date.getHours() * 60 + date.getMinutes();
+        bound = term.timeOfDay;
+      } else {
+        actual = visit.visitTime;
+        bound = term.time;
+      }
+      return term.key === "after" ? actual >= bound : actual < bound;
+    }
+    case "depth":
+      return compareDepth(depth, term.op, term.depth);
+    default:
+      return title.includes(term.value) || url.includes(term.value);
+  }
+}
+
+/**
+ * True if the node (at the given tree depth) satisfies every term of the parsed query.
+ */
+function nodeMatchesQuery(node, query, depth) {
+  return query.every((term) => termMatches(term, node, depth) !== term.negate);
+}
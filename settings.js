@@ -0,0 +1,78 @@
+/**
+ * settings.js
+ * User preferences persisted in chrome.storage.sync and edited on the options page.
+ * Loaded by the background service worker (importScripts), history.html and options.html (<script>).
+ */
+
+// --- Defaults ---
+const DEFAULT_SETTINGS = {
+  defaultRangeDays: 2, // The viewer opens on the last N calendar days, today included (2 = yesterday and today)
+  contextDepth: 3, // Levels of earlier visits loaded above visits whose referrer is before the range (0 = none)
+  hideDuplicates: true, // Visits of the same page under one parent are merged into one node
+  ignoreUrlFragments: true, // URLs that differ only after "#" are the same page
+  ignoredUrlParams: ["utm_*", "fbclid", "gclid", "dclid", "msclkid", "mc_cid", "mc_eid", "igshid", "_ga"], // "*" = any
+  collapseRedirects: true, // Redirect hops are folded into the page the chain ended on
+  hiddenTransitions: ["reload"], // See TRANSITION_TYPES in query.js
+  timestampFormat: "absolute", // One of TIMESTAMP_FORMATS (i18n.js)
+  theme: "system", // One of THEMES
+  reuseTab: true, // Focus an open viewer tab instead of opening another one
+  privacyRules: [], // [{ pattern, action }], see privacy.js
+};
+const THEMES = ["system", "light", "dark"];
+const KEPT_ON_RESET = ["privacyRules"]; // Edited in the viewer's privacy panel, not on the options page
+
+// --- Storage ---
+
+/**
+ * Resolves with all settings, defaults filled in for the ones never saved.
+ */
+async function loadSettings() {
+  return chrome.storage.sync.get(DEFAULT_SETTINGS);
+}
+
+/**
+ * Saves some settings; the others keep their stored values.
+ */
+async function saveSettings(changes) {
+  await chrome.storage.sync.set(changes);
+}
+
+/**
+ * Resets every setting to its default, except those in KEPT_ON_RESET.
+ */
+async function resetSettings() {
+  await chrome.storage.sync.remove(Object.keys(DEFAULT_SETTINGS).filter((key) => !KEPT_ON_RESET.includes(key)));
+}
+
+/**
+ * Calls listener with { key: newValue } of the settings changed in any extension page or on another device.
+ * Removed settings are reported with their default value.
+ */
+function onSettingsChanged(listener) {
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName !== "sync") return;
+    const changed = {};
+    Object.entries(changes).forEach(([key, change]) => {
+      if (!(key in DEFAULT_SETTINGS)) return;
+      changed[key] = change.newValue === undefined ? DEFAULT_SETTINGS[key] : change.newValue;
+    });
+    if (Object.keys(changed).length > 0) listener(changed);
+  });
+}
+
+// --- Theme ---
+
+let colorSchemeQuery = null; // MediaQueryList of prefers-color-scheme: dark, created on first use
+
+/**
+ * Sets data-theme="light" or "dark" on the document element. "system" follows the OS setting, also when it changes.
+ */
+function applyTheme(theme) {
+  if (!colorSchemeQuery) colorSchemeQuery = window.matchMedia("(prefers-color-scheme: dark)");
+  const update = () => {
+    const dark = theme === "dark" || (theme === "system" && colorSchemeQuery.matches);
+    document.documentElement.dataset.theme = dark ? "dark" : "light";
+  };
+  colorSchemeQuery.onchange = theme === "system" ? update : null;
+  update();
+}
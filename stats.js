@@ -0,0 +1,100 @@
+/**
+ * stats.js
+ * Statistics over a history tree for the sidebar panel and the calendar's activity shading.
+ * Nodes are the same { id, data: { visitData, historyItem }, children, mergedVisits? } objects built by history.js.
+ */
+
+// --- Constants ---
+const STATS_TOP_DOMAINS = 10;
+const STATS_TOP_REVISITED = 5;
+
+// --- Helpers ---
+
+/**
+ * Returns the local calendar day of a time as "YYYY-MM-DD" (the same format as the date inputs).
+ */
+function localDayKey(time) {
+  const d = new Date(time);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+}
+
+/**
+ * Returns the entries of a count map with the highest counts first, limited to the given number.
+ */
+function topEntries(counts, limit) {
+  return Array.from(counts.entries())
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, limit);
+}
+
+// --- Computation ---
+
+/**
+ * Walks the tree once and collects:
+ * - domains:   [[hostname, visits]] most visited first
+ * - hours:     visits per hour of day (array of 24)
+ * - days:      Map of "YYYY-MM-DD" -> visits
+ * - deepest:   { node (the deepest leaf), root, depth } of the longest referrer chain, or null
+ * - widest:    { node, width } of the visit with the most direct children, or null
+ * - revisited: [{ url, title, count, node, lastTime }] of the pages visited most often in the range,
+ *              node being the one of the latest visit
+ * - total:     number of visits
+ */
+function computeHistoryStats(roots) {
+  const domainCounts = new Map();
+  const pages = new Map();
+  const days = new Map();
+  const hours = new Array(24).fill(0);
+  let deepest = null;
+  let widest = null;
+  let total = 0;
+
+  const walk = (node, root, depth) => {
+    // A node merging repeated visits of a page counts each of them; context ancestors from before the range none
+    (node.data.context ? [] : node.mergedVisits || [node.data]).forEach((data) => {
+      const item = data.historyItem;
+      const time = data.visitData.visitTime;
+      total++;
+
+      const domain = hostnameOf(item.url) || msg("otherDomain");
+      domainCounts.set(domain, (domainCounts.get(domain) || 0) + 1);
+      if (!pages.has(item.url)) {
+        pages.set(item.url, { url: item.url, title: item.title, count: 0, node: null, lastTime: -Infinity });
+      }
+      const page = pages.get(item.url);
+      page.count++;
+      if (time > page.lastTime) {
+        page.node = node;
+        page.lastTime = time;
+      }
+      hours[new Date(time).getHours()]++;
+      const day = localDayKey(time);
+      days.set(day, (days.get(day) || 0) + 1);
+    });
+
+    const children = node.children || [];
+    if (children.length > 0 && (!widest || children.length > widest.width)) {
+      widest = { node: node, width: children.length };
+    }
+    if (children.length === 0 && depth > 0 && (!deepest || depth > deepest.depth)) {
+      deepest = { node: node, root: root, depth: depth };
+    }
+    children.forEach((child) => walk(child, root, depth + 1));
+  };
+  roots.forEach((root) => walk(root, root, 0));
+
+  const revisited = Array.from(pages.values())
+    .filter((page) => page.count > 1)
+    .sort((a, b) => b.count - a.count)
+    .slice(0, STATS_TOP_REVISITED);
+
+  return {
+    domains: topEntries(domainCounts, STATS_TOP_DOMAINS),
+    hours: hours,
+    days: days,
+    deepest: deepest,
+    widest: widest,
+    revisited: revisited,
+    total: total,
+  };
+}